@@ -0,0 +1,105 @@
+const { v4: uuidv4 } = require('uuid');
+const jsonDiff = require('./jsonDiff');
+
+// Append-only record of configuration changes. Entries are grouped into one
+// document per UTC day (audit-YYYY-MM-DD.json) so an append only rewrites
+// that day, and nothing ever edits or removes an entry once written.
+//
+//   { id, timestamp, action, kind, entityId, screenId?, actor, ip, changes }
+//
+// `changes` is the JSON Pointer diff between the document before and after
+// (see jsonDiff), ignoring the server-maintained updatedAt.
+
+const KINDS = ['profile', 'card', 'template', 'activeProfile'];
+
+function withoutTimestamp(document) {
+  if (!document) {
+    return undefined;
+  }
+  const { updatedAt, ...rest } = document;
+  return rest;
+}
+
+const auditLog = {
+  KINDS,
+  storage: null,
+
+  use(storage) {
+    this.storage = storage;
+  },
+
+  async record({ action, kind, entityId, screenId, actor, ip, before, after }) {
+    const timestamp = new Date().toISOString();
+    const entry = {
+      id: uuidv4(),
+      timestamp,
+      action,
+      kind,
+      entityId,
+      ...(screenId && { screenId }),
+      actor,
+      ip: ip || null,
+      changes: jsonDiff.diff(withoutTimestamp(before), withoutTimestamp(after))
+    };
+
+    const key = `audit-${timestamp.slice(0, 10)}.json`;
+    await this.storage.withLock(key, async () => {
+      const day = await this.storage.read(key, { entries: [] });
+      day.entries.push(entry);
+      await this.storage.write(key, day);
+    });
+    return entry;
+  },
+
+  // Matching entries newest first, reading day documents from the newest
+  // back and stopping once `max` entries are found. `kind` and `action` take
+  // a single value or a list; `since`/`until` are Dates.
+  async entries({ kind, action, entityId, actor, screenId, since, until } = {}, max = Infinity) {
+    const kinds = kind ? [].concat(kind) : null;
+    const actions = action ? [].concat(action) : null;
+    const firstDay = since ? since.toISOString().slice(0, 10) : null;
+    const lastDay = until ? until.toISOString().slice(0, 10) : null;
+
+    const keys = (await this.storage.list('audit-'))
+      .filter(key => {
+        const day = key.slice('audit-'.length, 'audit-'.length + 10);
+        return (!firstDay || day >= firstDay) && (!lastDay || day <= lastDay);
+      })
+      .sort()
+      .reverse();
+
+    const entries = [];
+    for (const key of keys) {
+      if (entries.length >= max) {
+        break;
+      }
+      const { entries: dayEntries } = await this.storage.read(key, { entries: [] });
+      entries.push(...dayEntries.filter(entry => (
+        (!kinds || kinds.includes(entry.kind)) &&
+        (!actions || actions.includes(entry.action)) &&
+        (!entityId || entry.entityId === entityId) &&
+        (!actor || entry.actor === actor) &&
+        (!screenId || entry.screenId === screenId) &&
+        (!since || new Date(entry.timestamp) >= since) &&
+        (!until || new Date(entry.timestamp) <= until)
+      )).reverse());
+    }
+    return entries.slice(0, max);
+  },
+
+  // Newest first, paged like the list routes; takes the filters entries()
+  // does
+  async query({ page = 1, limit = 50, ...filters } = {}) {
+    const entries = await this.entries(filters);
+    const start = (page - 1) * limit;
+    return {
+      items: entries.slice(start, start + limit),
+      total: entries.length,
+      page,
+      limit,
+      totalPages: Math.ceil(entries.length / limit)
+    };
+  }
+};
+
+module.exports = auditLog;
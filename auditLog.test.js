@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const auditLog = require('./auditLog');
+const { createStorage } = require('./storage');
+
+let dataDir;
+let storage;
+
+function entry(timestamp, kind, entityId) {
+  return { id: `${kind}-${entityId}`, timestamp, action: 'update', kind, entityId, actor: 'tester', ip: null, changes: [] };
+}
+
+beforeEach(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+  storage = createStorage({ backend: 'file', dataDir });
+  await storage.init();
+  auditLog.use(storage);
+
+  await storage.write('audit-2026-10-17.json', { entries: [entry('2026-10-17T09:00:00.000Z', 'card', 'a')] });
+  await storage.write('audit-2026-10-18.json', {
+    entries: [entry('2026-10-18T09:00:00.000Z', 'profile', 'b'), entry('2026-10-18T10:00:00.000Z', 'card', 'c')]
+  });
+  await storage.write('audit-2026-10-19.json', { entries: [entry('2026-10-19T09:00:00.000Z', 'card', 'd')] });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('record', () => {
+  test('appends to the day document with a diff that ignores updatedAt', async () => {
+    const recorded = await auditLog.record({
+      action: 'update',
+      kind: 'card',
+      entityId: 'e',
+      actor: 'tester',
+      before: { type: 'text', updatedAt: 'then' },
+      after: { type: 'clock', updatedAt: 'now' }
+    });
+    expect(recorded.changes).toEqual([{ op: 'replace', path: '/type', oldValue: 'text', value: 'clock' }]);
+
+    const day = await storage.read(`audit-${recorded.timestamp.slice(0, 10)}.json`);
+    expect(day.entries[day.entries.length - 1].id).toBe(recorded.id);
+  });
+});
+
+describe('entries', () => {
+  test('returns matches newest first', async () => {
+    expect((await auditLog.entries()).map(item => item.entityId)).toEqual(['d', 'c', 'b', 'a']);
+    expect((await auditLog.entries({ kind: 'card' })).map(item => item.entityId)).toEqual(['d', 'c', 'a']);
+    expect((await auditLog.entries({ since: new Date('2026-10-18T09:30:00Z') })).map(item => item.entityId)).toEqual(['d', 'c']);
+  });
+
+  test('stops reading day documents once it has enough', async () => {
+    const read = jest.spyOn(storage, 'read');
+    expect((await auditLog.entries({}, 2)).map(item => item.entityId)).toEqual(['d', 'c']);
+    expect(read.mock.calls.map(([key]) => key)).toEqual(['audit-2026-10-19.json', 'audit-2026-10-18.json']);
+  });
+
+  test('skips day documents outside since and until', async () => {
+    const read = jest.spyOn(storage, 'read');
+    await auditLog.entries({ since: new Date('2026-10-19T00:00:00Z') });
+    expect(read.mock.calls.map(([key]) => key)).toEqual(['audit-2026-10-19.json']);
+  });
+});
+
+describe('query', () => {
+  test('pages through every match', async () => {
+    const result = await auditLog.query({ page: 2, limit: 3 });
+    expect(result).toMatchObject({ total: 4, page: 2, limit: 3, totalPages: 2 });
+    expect(result.items.map(item => item.entityId)).toEqual(['a']);
+  });
+});
@@ -0,0 +1,222 @@
+const profileSchedule = require('./profileSchedule');
+const timeParsing = require('./timeParsing');
+
+// Normalizes calendar rows (CTAAPI /api/events or an expanded .ics file)
+// into events with real start and end instants, then picks what an events
+// card shows. All-day events span whole local days with an exclusive end
+// (the iCalendar convention); timed events without an end last zero minutes
+// and drop off once they start.
+
+const FIELDS = {
+  id: ['id', 'uid'],
+  title: ['title', 'summary', 'name'],
+  description: ['description'],
+  location: ['location'],
+  start: ['start_time', 'startTime', 'start'],
+  end: ['end_time', 'endTime', 'end'],
+  allDay: ['all_day', 'allDay']
+};
+
+function field(row, name) {
+  const key = FIELDS[name].find(candidate => row[candidate] !== undefined && row[candidate] !== null && row[candidate] !== '');
+  return key ? row[key] : null;
+}
+
+// Google-style { dateTime, date, timeZone } objects or plain values ->
+// { date } for all-day values, { instant } for times, or null
+function parseBoundary(value, reference, timeZone) {
+  if (value === null) {
+    return null;
+  }
+  if (typeof value === 'object') {
+    if (value.date) {
+      return parseBoundary(value.date, reference, timeZone);
+    }
+    const zone = value.timeZone && profileSchedule.isValidTimezone(value.timeZone) ? value.timeZone : timeZone;
+    return value.dateTime ? parseBoundary(value.dateTime, reference, zone) : null;
+  }
+
+  const date = typeof value === 'string' ? timeParsing.parseDate(value) : null;
+  if (date) {
+    return { date };
+  }
+  const instant = timeParsing.parse(value, reference, timeZone);
+  return instant && !Number.isNaN(instant.getTime()) ? { instant } : null;
+}
+
+function midnight(date, timeZone) {
+  return profileSchedule.toInstant(date, '00:00', timeZone);
+}
+
+const DATE_FORMAT = new Intl.DateTimeFormat('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' });
+
+// "Mon, Oct 20" for a YYYY-MM-DD date
+function formatDate(date) {
+  return DATE_FORMAT.format(new Date(`${date}T12:00:00Z`));
+}
+
+function dayLabel(date, today) {
+  if (date === today) {
+    return 'Today';
+  }
+  if (date === profileSchedule.shiftDate(today, 1)) {
+    return 'Tomorrow';
+  }
+  return formatDate(date);
+}
+
+// Local dates an event covers, from its start day to the day its last
+// moment falls on
+function coveredDates(event, timeZone) {
+  const first = profileSchedule.localTime(new Date(event.start), timeZone).date;
+  const lastInstant = Math.max(Date.parse(event.start), Date.parse(event.end) - 1);
+  const last = profileSchedule.localTime(new Date(lastInstant), timeZone).date;
+  const dates = [first];
+  while (dates[dates.length - 1] < last && dates.length < 366) {
+    dates.push(profileSchedule.shiftDate(dates[dates.length - 1], 1));
+  }
+  return dates;
+}
+
+const calendarEvents = {
+  FIELDS,
+
+  // Rows may arrive as a bare array or wrapped in { events } / { items }
+  rows(data) {
+    if (Array.isArray(data)) {
+      return data;
+    }
+    if (data && Array.isArray(data.events)) {
+      return data.events;
+    }
+    if (data && Array.isArray(data.items)) {
+      return data.items;
+    }
+    return null;
+  },
+
+  // One row -> { id, title, description, location, allDay, start, end }
+  // with ISO instants, or null when its start can't be understood.
+  // `fetchedAt` anchors bare times like "3:00 PM".
+  normalize(row, fetchedAt, timeZone = profileSchedule.DEFAULT_TIMEZONE) {
+    const reference = fetchedAt ? new Date(fetchedAt) : new Date();
+    const start = parseBoundary(field(row, 'start'), reference, timeZone);
+    if (!start) {
+      return null;
+    }
+    const end = parseBoundary(field(row, 'end'), reference, timeZone);
+    const flagged = field(row, 'allDay');
+    const allDay = start.date !== undefined || flagged === true || flagged === 'true';
+
+    let startInstant;
+    let endInstant;
+    if (allDay) {
+      const startDate = start.date || profileSchedule.localTime(start.instant, timeZone).date;
+      let endDate = end && (end.date || profileSchedule.localTime(end.instant, timeZone).date);
+      if (!endDate || endDate <= startDate) {
+        endDate = profileSchedule.shiftDate(startDate, 1);
+      }
+      startInstant = midnight(startDate, timeZone);
+      endInstant = midnight(endDate, timeZone);
+    } else {
+      startInstant = start.instant;
+      endInstant = end && end.instant && end.instant > start.instant ? end.instant : start.instant;
+    }
+
+    const title = field(row, 'title');
+    return {
+      id: field(row, 'id') !== null ? String(field(row, 'id')) : null,
+      title: title !== null ? String(title) : 'Untitled Event',
+      description: field(row, 'description') || '',
+      location: field(row, 'location') || '',
+      allDay,
+      start: startInstant.toISOString(),
+      end: endInstant.toISOString()
+    };
+  },
+
+  // The local midnight that ends a lookahead of `days` days after today
+  windowEnd(days, timeZone, now = new Date()) {
+    const today = profileSchedule.localTime(now, timeZone).date;
+    return midnight(profileSchedule.shiftDate(today, days + 1), timeZone);
+  },
+
+  // Events that haven't ended and start inside the lookahead window, sorted
+  // by start. With `highlight`, timed events under way are marked 'now' and
+  // the earliest upcoming timed events 'next'.
+  select(events, { lookaheadDays = 7, highlight = true } = {}, timeZone = profileSchedule.DEFAULT_TIMEZONE, now = new Date()) {
+    const until = this.windowEnd(lookaheadDays, timeZone, now).getTime();
+    const at = now.getTime();
+
+    const selected = events
+      .filter(event => {
+        const start = Date.parse(event.start);
+        const end = Date.parse(event.end);
+        return start < until && (end > at || (end === start && start >= at));
+      })
+      .sort((a, b) => (a.start === b.start ? Number(b.allDay) - Number(a.allDay) : (a.start < b.start ? -1 : 1)));
+
+    const upcoming = selected.filter(event => !event.allDay && Date.parse(event.start) > at);
+    const next = upcoming.length > 0 ? upcoming[0].start : null;
+
+    return selected.map(event => {
+      let status = null;
+      if (highlight && !event.allDay) {
+        if (Date.parse(event.start) <= at && at < Date.parse(event.end)) {
+          status = 'now';
+        } else if (event.start === next) {
+          status = 'next';
+        }
+      }
+      return { ...event, status };
+    });
+  },
+
+  // Display fields for a selected event: `time` is its local start time (or
+  // "All day"), `when` also says which day, `multiDay` whether it spans
+  // more than one
+  describe(event, timeZone = profileSchedule.DEFAULT_TIMEZONE, now = new Date()) {
+    const today = profileSchedule.localTime(now, timeZone).date;
+    const dates = coveredDates(event, timeZone);
+    const first = dates[0];
+    const last = dates[dates.length - 1];
+    const time = event.allDay ? 'All day' : profileSchedule.localTime(new Date(event.start), timeZone).time;
+
+    let when;
+    if (event.status === 'now') {
+      when = `Now until ${profileSchedule.localTime(new Date(event.end), timeZone).time}`;
+    } else if (dates.length > 1) {
+      when = `${dayLabel(first, today)} - ${dayLabel(last, today)}`;
+    } else {
+      when = event.allDay ? `${dayLabel(first, today)}, all day` : `${dayLabel(first, today)} ${time}`;
+    }
+
+    return { ...event, time, when, multiDay: dates.length > 1 };
+  },
+
+  // [{ date, label, items }] for each local day from today on; events
+  // spanning several days are listed under each of them
+  groupByDay(events, timeZone = profileSchedule.DEFAULT_TIMEZONE, now = new Date()) {
+    const today = profileSchedule.localTime(now, timeZone).date;
+    const groups = new Map();
+    events.forEach(event => {
+      coveredDates(event, timeZone)
+        .filter(date => date >= today)
+        .forEach(date => {
+          if (!groups.has(date)) {
+            groups.set(date, { date, label: dayLabel(date, today), items: [] });
+          }
+          groups.get(date).items.push(event);
+        });
+    });
+    return [...groups.values()].sort((a, b) => (a.date < b.date ? -1 : 1));
+  },
+
+  // Whether an event overlaps today's local date
+  isToday(event, timeZone = profileSchedule.DEFAULT_TIMEZONE, now = new Date()) {
+    const today = profileSchedule.localTime(now, timeZone).date;
+    return coveredDates(event, timeZone).includes(today);
+  }
+};
+
+module.exports = calendarEvents;
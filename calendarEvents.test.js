@@ -0,0 +1,163 @@
+const calendarEvents = require('./calendarEvents');
+
+const chicago = 'America/Chicago';
+const now = new Date('2026-10-19T15:00:00.000Z'); // Monday, 10:00 AM in Chicago
+
+const event = (start, end, extra = {}) => ({
+  id: null, title: 'Event', description: '', location: '', allDay: false, start, end, ...extra
+});
+
+describe('rows', () => {
+  test('accepts bare arrays and wrapped rows', () => {
+    const rows = [{ title: 'Standup' }];
+    expect(calendarEvents.rows(rows)).toBe(rows);
+    expect(calendarEvents.rows({ events: rows })).toBe(rows);
+    expect(calendarEvents.rows({ items: rows })).toBe(rows);
+    expect(calendarEvents.rows({ error: 'down' })).toBeNull();
+  });
+});
+
+describe('normalize', () => {
+  const normalize = row => calendarEvents.normalize(row, now.toISOString(), chicago);
+
+  test('reads local timestamps in the time zone', () => {
+    expect(normalize({
+      id: 7, summary: 'Standup', start_time: '2026-10-19T14:00:00', end_time: '2026-10-19T14:15:00', location: 'Room 4'
+    })).toEqual({
+      id: '7',
+      title: 'Standup',
+      description: '',
+      location: 'Room 4',
+      allDay: false,
+      start: '2026-10-19T19:00:00.000Z',
+      end: '2026-10-19T19:15:00.000Z'
+    });
+  });
+
+  test('all-day events cover whole local days with an exclusive end', () => {
+    expect(normalize({ title: 'Holiday', start: '2026-10-20' })).toMatchObject({
+      allDay: true, start: '2026-10-20T05:00:00.000Z', end: '2026-10-21T05:00:00.000Z'
+    });
+    expect(normalize({ title: 'Holiday', start_time: '2026-10-20T09:00:00', all_day: 'true' })).toMatchObject({
+      allDay: true, start: '2026-10-20T05:00:00.000Z', end: '2026-10-21T05:00:00.000Z'
+    });
+    // The day the clocks change is 25 hours long
+    expect(normalize({ start: '20261101', end: '20261103' })).toMatchObject({
+      start: '2026-11-01T05:00:00.000Z', end: '2026-11-03T06:00:00.000Z'
+    });
+  });
+
+  test('reads Google-style start and end objects', () => {
+    expect(normalize({
+      summary: 'Call',
+      start: { dateTime: '2026-10-20T09:00:00', timeZone: 'Europe/London' },
+      end: { dateTime: '2026-10-20T10:00:00', timeZone: 'Europe/London' }
+    })).toMatchObject({ allDay: false, start: '2026-10-20T08:00:00.000Z', end: '2026-10-20T09:00:00.000Z' });
+    expect(normalize({ start: { date: '2026-10-20' }, end: { date: '2026-10-22' } })).toMatchObject({
+      allDay: true, end: '2026-10-22T05:00:00.000Z'
+    });
+  });
+
+  test('a missing or earlier end makes a zero-length event', () => {
+    expect(normalize({ start: '2026-10-19T16:00:00Z' })).toMatchObject({
+      start: '2026-10-19T16:00:00.000Z', end: '2026-10-19T16:00:00.000Z'
+    });
+    expect(normalize({ start: '2026-10-19T16:00:00Z', end: '2026-10-19T15:00:00Z' }).end).toBe('2026-10-19T16:00:00.000Z');
+  });
+
+  test('bare times land on the day the data was fetched', () => {
+    expect(normalize({ title: 'Lunch', start: '12:30 PM', end: '1:15 PM' })).toMatchObject({
+      title: 'Lunch', start: '2026-10-19T17:30:00.000Z', end: '2026-10-19T18:15:00.000Z'
+    });
+  });
+
+  test('rows without a readable start are dropped', () => {
+    expect(normalize({ title: 'Someday' })).toBeNull();
+    expect(normalize({ title: 'Someday', start: 'later' })).toBeNull();
+    expect(normalize({ start: '2026-10-20' }).title).toBe('Untitled Event');
+  });
+});
+
+describe('windowEnd', () => {
+  test('ends at local midnight after the lookahead', () => {
+    expect(calendarEvents.windowEnd(0, chicago, now).toISOString()).toBe('2026-10-20T05:00:00.000Z');
+    expect(calendarEvents.windowEnd(1, chicago, new Date('2026-10-31T15:00:00Z')).toISOString())
+      .toBe('2026-11-02T06:00:00.000Z');
+  });
+});
+
+describe('select', () => {
+  const events = [
+    event('2026-10-19T20:00:00.000Z', '2026-10-19T21:00:00.000Z', { title: 'Later' }),
+    event('2026-10-19T12:00:00.000Z', '2026-10-19T13:00:00.000Z', { title: 'Over' }),
+    event('2026-10-19T17:00:00.000Z', '2026-10-19T18:00:00.000Z', { title: 'Next' }),
+    event('2026-10-19T14:00:00.000Z', '2026-10-19T16:00:00.000Z', { title: 'Running' }),
+    event('2026-10-19T05:00:00.000Z', '2026-10-20T05:00:00.000Z', { title: 'Today', allDay: true }),
+    event('2026-10-19T14:30:00.000Z', '2026-10-19T14:30:00.000Z', { title: 'Started' }),
+    event('2026-10-21T04:59:00.000Z', '2026-10-21T05:30:00.000Z', { title: 'Late tomorrow' }),
+    event('2026-10-21T05:00:00.000Z', '2026-10-21T06:00:00.000Z', { title: 'Past the window' })
+  ];
+
+  test('keeps unfinished events inside the window in start order, marking now and next', () => {
+    const selected = calendarEvents.select(events, { lookaheadDays: 1 }, chicago, now);
+    expect(selected.map(item => [item.title, item.status])).toEqual([
+      ['Today', null],
+      ['Running', 'now'],
+      ['Next', 'next'],
+      ['Later', null],
+      ['Late tomorrow', null]
+    ]);
+  });
+
+  test('all-day events sort ahead of timed ones starting at the same moment', () => {
+    const midnight = event('2026-10-20T05:00:00.000Z', '2026-10-20T06:00:00.000Z', { title: 'Timed' });
+    const allDay = event('2026-10-20T05:00:00.000Z', '2026-10-21T05:00:00.000Z', { title: 'All day', allDay: true });
+    expect(calendarEvents.select([midnight, allDay], {}, chicago, now).map(item => item.title)).toEqual(['All day', 'Timed']);
+  });
+
+  test('highlight: false leaves every status empty', () => {
+    const selected = calendarEvents.select(events, { lookaheadDays: 1, highlight: false }, chicago, now);
+    expect(selected.every(item => item.status === null)).toBe(true);
+  });
+});
+
+describe('describe', () => {
+  const describeEvent = item => calendarEvents.describe(item, chicago, now);
+
+  test('labels times and days relative to today', () => {
+    expect(describeEvent(event('2026-10-19T17:00:00.000Z', '2026-10-19T18:00:00.000Z'))).toMatchObject({
+      time: '12:00', when: 'Today 12:00', multiDay: false
+    });
+    expect(describeEvent(event('2026-10-20T05:00:00.000Z', '2026-10-21T05:00:00.000Z', { allDay: true }))).toMatchObject({
+      time: 'All day', when: 'Tomorrow, all day', multiDay: false
+    });
+    expect(describeEvent(event('2026-10-22T05:00:00.000Z', '2026-10-24T05:00:00.000Z', { allDay: true }))).toMatchObject({
+      when: 'Thu, Oct 22 - Fri, Oct 23', multiDay: true
+    });
+  });
+
+  test('events under way say when they end', () => {
+    const running = event('2026-10-19T14:00:00.000Z', '2026-10-19T16:00:00.000Z', { status: 'now' });
+    expect(describeEvent(running).when).toBe('Now until 11:00');
+  });
+});
+
+describe('groupByDay', () => {
+  test('lists events under each local day they cover, from today on', () => {
+    const trip = event('2026-10-18T05:00:00.000Z', '2026-10-21T05:00:00.000Z', { title: 'Trip', allDay: true });
+    const dinner = event('2026-10-23T00:00:00.000Z', '2026-10-23T02:00:00.000Z', { title: 'Dinner' });
+    const groups = calendarEvents.groupByDay([dinner, trip], chicago, now);
+    expect(groups.map(group => [group.date, group.label, group.items.map(item => item.title)])).toEqual([
+      ['2026-10-19', 'Today', ['Trip']],
+      ['2026-10-20', 'Tomorrow', ['Trip']],
+      ['2026-10-22', 'Thu, Oct 22', ['Dinner']]
+    ]);
+  });
+});
+
+describe('isToday', () => {
+  test('ends are exclusive', () => {
+    expect(calendarEvents.isToday(event('2026-10-19T03:00:00.000Z', '2026-10-19T05:00:00.000Z'), chicago, now)).toBe(false);
+    expect(calendarEvents.isToday(event('2026-10-19T03:00:00.000Z', '2026-10-19T05:01:00.000Z'), chicago, now)).toBe(true);
+  });
+});
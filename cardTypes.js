@@ -0,0 +1,132 @@
+const Joi = require('joi');
+
+// Config schemas for the built-in card types. Every type shares the
+// styling and refresh fields in `common`; the rest is type specific.
+// Card types contributed only by a data provider fall back to `common`.
+
+const color = Joi.string().max(64);
+
+const common = {
+  title: Joi.string().allow('').optional(),
+  subtitle: Joi.string().allow('').optional(),
+  content: Joi.string().allow('').optional(),
+  backgroundColor: color.optional(),
+  textColor: color.optional(),
+  borderColor: color.optional(),
+  fontSize: Joi.string().optional(),
+  lineHeight: Joi.alternatives(Joi.string(), Joi.number()).optional(),
+  apiUrl: Joi.string().uri().optional(),
+  refreshInterval: Joi.number().min(1000).optional(),
+  provider: Joi.string().optional(),
+  providerOptions: Joi.object().unknown(true).optional()
+};
+
+function configSchema(fields = {}) {
+  return Joi.object({ ...common, ...fields });
+}
+
+const types = {
+  text: {
+    description: 'Static block of text',
+    schema: configSchema({
+      content: Joi.string().allow('').required()
+    })
+  },
+
+  status: {
+    description: 'List of labelled status indicators',
+    schema: configSchema({
+      items: Joi.array().items(Joi.object({
+        label: Joi.string().required(),
+        status: Joi.string().required(),
+        color: color.optional(),
+        lastCheck: Joi.string().isoDate().optional()
+      })).required()
+    })
+  },
+
+  chart: {
+    description: 'Chart.js style chart',
+    schema: configSchema({
+      chartType: Joi.string().valid('line', 'bar', 'pie', 'doughnut', 'radar', 'polarArea', 'scatter').required(),
+      data: Joi.object({
+        labels: Joi.array().items(Joi.alternatives(Joi.string(), Joi.number())).required(),
+        datasets: Joi.array().items(Joi.object({
+          label: Joi.string().required(),
+          data: Joi.array().items(Joi.number().allow(null)).required(),
+          borderColor: Joi.alternatives(color, Joi.array().items(color)).optional(),
+          backgroundColor: Joi.alternatives(color, Joi.array().items(color)).optional()
+        }).unknown(true)).min(1).required()
+      }).required(),
+      options: Joi.object().unknown(true).optional(),
+      height: Joi.number().min(0).optional()
+    })
+  },
+
+  metric: {
+    description: 'Key figures with trends',
+    schema: configSchema({
+      metrics: Joi.array().items(Joi.object({
+        label: Joi.string().required(),
+        value: Joi.alternatives(Joi.string(), Joi.number()).required(),
+        trend: Joi.string().valid('up', 'down', 'stable').optional(),
+        change: Joi.string().optional(),
+        color: color.optional(),
+        icon: Joi.string().optional()
+      })).min(1).required()
+    })
+  },
+
+  info: {
+    description: 'Summary text with an icon list',
+    schema: configSchema({
+      items: Joi.array().items(Joi.object({
+        text: Joi.string().required(),
+        icon: Joi.string().optional(),
+        color: color.optional()
+      })).optional()
+    })
+  },
+
+  transit: {
+    description: 'Live CTA arrivals from the CTAAPI upstream',
+    schema: configSchema()
+  },
+
+  events: {
+    description: 'Upcoming calendar events',
+    schema: configSchema()
+  },
+
+  tasks: {
+    description: 'Habitica tasks',
+    schema: configSchema()
+  },
+
+  activity: {
+    description: 'Recent configuration changes from the audit log',
+    schema: configSchema()
+  },
+
+  weather: {
+    description: 'Weather conditions from an external API',
+    schema: configSchema({
+      location: Joi.string().optional(),
+      units: Joi.string().valid('metric', 'imperial').optional()
+    })
+  }
+};
+
+const cardTypes = {
+  common: configSchema(),
+
+  get(type) {
+    return types[type] || null;
+  },
+
+  list() {
+    return Object.entries(types).map(([type, definition]) => ({ type, ...definition }));
+  }
+};
+
+module.exports = cardTypes;
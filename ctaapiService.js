@@ -1,56 +1,385 @@
 const https = require('https');
 const http = require('http');
+const { EventEmitter } = require('events');
+const transitArrivals = require('./transitArrivals');
+const calendarEvents = require('./calendarEvents');
+const habiticaTasks = require('./habiticaTasks');
+const profileSchedule = require('./profileSchedule');
 
-class CTAAPIService {
+// Numeric setting from the environment, or the default when it is unset or
+// not a number of at least `min`
+function envNumber(name, defaultValue, min = 1) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') {
+    return defaultValue;
+  }
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < min) {
+    console.warn(`[CTAAAPI] Ignoring ${name}=${raw}, using ${defaultValue}`);
+    return defaultValue;
+  }
+  return value;
+}
+
+class CTAAPIService extends EventEmitter {
   constructor() {
+    super();
     this.baseUrl = process.env.CTAAPI_URL || 'http://jamess-mac-mini.local:3001';
     this.cache = new Map();
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes in milliseconds
+    this.requestTimeout = envNumber('CTAAPI_TIMEOUT', 5000);
+    this.maxRetries = Math.floor(envNumber('CTAAPI_RETRIES', 2, 0));
+    this.retryDelay = envNumber('CTAAPI_RETRY_DELAY', 500, 0);
+    this.breakerThreshold = envNumber('CTAAPI_BREAKER_THRESHOLD', 3);
+    this.breakerCooldown = envNumber('CTAAPI_BREAKER_COOLDOWN', 30 * 1000, 0);
+    this.breakers = new Map();
+    this.health = new Map();
     
     this.endpoints = {
       transit: '/api/data',
       events: '/api/events', 
       tasks: '/api/habitica'
     };
+
+    // How long each source stays fresh; CTAAPI_TTL_<NAME> (ms) overrides
+    this.ttls = {
+      transit: 60 * 1000,
+      events: 15 * 60 * 1000,
+      tasks: 5 * 60 * 1000
+    };
+    Object.keys(this.ttls).forEach(name => {
+      this.ttls[name] = envNumber(`CTAAPI_TTL_${name.toUpperCase()}`, this.ttls[name]);
+    });
+
+    // The refresher re-fetches sources someone read within refreshIdle once
+    // they reach refreshAhead of their TTL, so displays rarely wait on the
+    // upstream
+    this.refreshInterval = envNumber('CTAAPI_REFRESH_INTERVAL', 15 * 1000);
+    this.refreshAhead = 0.8;
+    this.refreshIdle = envNumber('CTAAPI_REFRESH_IDLE', 60 * 60 * 1000);
+    this.refreshTimer = null;
+    this.lastRequested = new Map();
+
+    // One upstream request per source at a time; concurrent readers share it.
+    // invalidate() bumps a source's generation so responses to requests sent
+    // before it are never cached.
+    this.inflight = new Map();
+    this.generations = new Map();
+
+    // Set by use(); cache entries are persisted there as upstream-<name>.json
+    this.storage = null;
+  }
+
+  use(storage) {
+    this.storage = storage;
   }
 
-  async fetchWithCache(endpoint, cacheKey) {
+  ttlFor(cacheKey) {
+    return this.ttls[cacheKey] || this.cacheTimeout;
+  }
+
+  // Restores persisted entries with their original timestamps, so old data
+  // counts as expired but can still be served as stale while the upstream
+  // is unreachable
+  async loadCache() {
+    if (!this.storage) {
+      return;
+    }
+    const entries = await this.storage.readAll('upstream-');
+    entries.forEach(({ cacheKey, data, timestamp }) => {
+      if (cacheKey && !this.cache.has(cacheKey)) {
+        this.cache.set(cacheKey, { data, timestamp });
+        // Treat restored sources as in use so the refresher warms them
+        this.lastRequested.set(cacheKey, Date.now());
+      }
+    });
+    console.log(`[CTAAAPI] Restored ${entries.length} cached sources`);
+  }
+
+  // Only called when the data changed, so polling an idle upstream doesn't
+  // rewrite the same document every TTL
+  async persist(cacheKey, entry) {
+    if (!this.storage) {
+      return;
+    }
+    const key = `upstream-${cacheKey}.json`;
+    try {
+      await this.storage.withLock(key, () => this.storage.write(key, { cacheKey, data: entry.data, timestamp: entry.timestamp }));
+    } catch (error) {
+      console.error(`[CTAAAPI] Failed to persist ${cacheKey}:`, error.message);
+    }
+  }
+
+  startRefresher() {
+    if (this.refreshTimer) {
+      return;
+    }
+    this.refreshTimer = setInterval(() => this.refreshDue(), this.refreshInterval);
+    this.refreshTimer.unref();
+    // Warm up right away rather than a tick after startup
+    this.refreshDue();
+  }
+
+  stopRefresher() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  // Refreshes every recently read source that is missing, invalidated or
+  // close to expiry, skipping endpoints whose circuit is open
+  async refreshDue() {
+    const now = Date.now();
+    await Promise.all(Object.entries(this.endpoints).map(async ([cacheKey, endpoint]) => {
+      const requestedAt = this.lastRequested.get(cacheKey);
+      if (!requestedAt || now - requestedAt > this.refreshIdle || this.getBreaker(endpoint).state === 'open') {
+        return;
+      }
+      const cached = this.cache.get(cacheKey);
+      if (cached && !cached.invalidated && now - cached.timestamp < this.ttlFor(cacheKey) * this.refreshAhead) {
+        return;
+      }
+      await this.load(endpoint, cacheKey);
+    }));
+  }
+
+  // maxAge lets callers demand fresher data than the source's TTL.
+  // Resolves to { data, meta } where meta.source says where the data came
+  // from: 'fresh' (just fetched), 'cached', 'stale' (expired cache served
+  // because the upstream failed) or 'none'.
+  async fetchWithCache(endpoint, cacheKey, maxAge = this.ttlFor(cacheKey)) {
+    this.lastRequested.set(cacheKey, Date.now());
+
     // Check cache first
     const cached = this.cache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+    if (cached && !cached.invalidated && Date.now() - cached.timestamp < maxAge) {
       console.log(`[CTAAAPI] Using cached data for ${cacheKey}`);
-      return cached.data;
+      return this.result(endpoint, cached, 'cached');
     }
 
+    return this.load(endpoint, cacheKey);
+  }
+
+  // Fetches a source, joining the request already in flight for it if any
+  load(endpoint, cacheKey) {
+    let request = this.inflight.get(cacheKey);
+    if (!request) {
+      request = this.fetchFresh(endpoint, cacheKey).finally(() => {
+        // invalidate() may already have replaced it
+        if (this.inflight.get(cacheKey) === request) {
+          this.inflight.delete(cacheKey);
+        }
+      });
+      this.inflight.set(cacheKey, request);
+    }
+    return request;
+  }
+
+  async fetchFresh(endpoint, cacheKey) {
+    const generation = this.generations.get(cacheKey) || 0;
+
     try {
       const data = await this.makeRequest(endpoint);
-      // Store in cache
-      this.cache.set(cacheKey, {
+      // Invalidated while in flight: the response may predate the write, so
+      // hand it to the callers that were waiting but don't keep it
+      if ((this.generations.get(cacheKey) || 0) !== generation) {
+        console.log(`[CTAAAPI] Discarding ${cacheKey} response from before invalidation`);
+        return this.result(endpoint, { data, timestamp: Date.now() }, 'fresh');
+      }
+      const cached = this.cache.get(cacheKey);
+      const changed = !cached || JSON.stringify(cached.data) !== JSON.stringify(data);
+      const entry = {
         data,
         timestamp: Date.now()
-      });
+      };
+      // Store in cache
+      this.cache.set(cacheKey, entry);
       console.log(`[CTAAAPI] Fetched fresh data for ${cacheKey}`);
-      return data;
+      // Let listeners (e.g. the profile stream) know the upstream data moved
+      if (changed) {
+        await this.persist(cacheKey, entry);
+        this.emit('update', cacheKey);
+      }
+      return this.result(endpoint, entry, 'fresh');
     } catch (error) {
       console.error(`[CTAAAPI] Error fetching ${cacheKey}:`, error.message);
+      const cached = this.cache.get(cacheKey);
+      const health = this.getHealth(endpoint);
+      health.lastFailure = Date.now();
+      health.lastError = error.message;
       
       // Return cached data if available, even if expired
       if (cached) {
         console.log(`[CTAAAPI] Using expired cache for ${cacheKey} due to error`);
-        return cached.data;
+        return this.result(endpoint, cached, 'stale');
       }
       
       // Return null if no cached data available
-      return null;
+      return this.result(endpoint, null, 'none');
+    }
+  }
+
+  result(endpoint, entry, source) {
+    return {
+      data: entry ? entry.data : null,
+      meta: {
+        source,
+        fetchedAt: entry ? new Date(entry.timestamp).toISOString() : null,
+        lastError: this.getHealth(endpoint).lastError
+      }
+    };
+  }
+
+  getHealth(endpoint) {
+    if (!this.health.has(endpoint)) {
+      this.health.set(endpoint, {
+        lastSuccess: null,
+        lastFailure: null,
+        lastError: null,
+        latencyMs: null
+      });
     }
+    return this.health.get(endpoint);
   }
 
-  makeRequest(endpoint) {
+  // Per-endpoint view of the upstream for /display/status
+  getHealthReport() {
+    const endpoints = {};
+    Object.entries(this.endpoints).forEach(([name, endpoint]) => {
+      const health = this.getHealth(endpoint);
+      const breaker = this.getBreaker(endpoint);
+      const cached = this.cache.get(name);
+
+      let status = 'unknown';
+      if (breaker.state !== 'closed') {
+        status = 'down';
+      } else if (health.lastFailure && (!health.lastSuccess || health.lastFailure > health.lastSuccess)) {
+        status = 'degraded';
+      } else if (health.lastSuccess) {
+        status = 'healthy';
+      }
+
+      endpoints[name] = {
+        endpoint,
+        status,
+        circuit: breaker.state,
+        latencyMs: health.latencyMs,
+        lastSuccess: health.lastSuccess ? new Date(health.lastSuccess).toISOString() : null,
+        lastFailure: health.lastFailure ? new Date(health.lastFailure).toISOString() : null,
+        lastError: health.lastError,
+        ttlMs: this.ttlFor(name),
+        cacheAgeMs: cached ? Date.now() - cached.timestamp : null
+      };
+    });
+
+    return {
+      baseUrl: this.baseUrl,
+      endpoints
+    };
+  }
+
+  // Per-endpoint circuit breaker: after breakerThreshold consecutive failed
+  // attempts (retries included) the endpoint fails fast for breakerCooldown, then lets a single
+  // trial request through (half-open) before closing again
+  getBreaker(endpoint) {
+    if (!this.breakers.has(endpoint)) {
+      this.breakers.set(endpoint, { state: 'closed', failures: 0, openedAt: null });
+    }
+    return this.breakers.get(endpoint);
+  }
+
+  checkBreaker(endpoint) {
+    const breaker = this.getBreaker(endpoint);
+    if (breaker.state === 'closed') {
+      return;
+    }
+
+    if (breaker.state === 'open' && Date.now() - breaker.openedAt >= this.breakerCooldown) {
+      breaker.state = 'half-open';
+      console.log(`[CTAAAPI] Circuit half-open for ${endpoint}, sending trial request`);
+      return;
+    }
+
+    throw new Error(`Circuit open for ${endpoint}`);
+  }
+
+  recordSuccess(endpoint) {
+    const breaker = this.getBreaker(endpoint);
+    if (breaker.state !== 'closed') {
+      console.log(`[CTAAAPI] Circuit closed for ${endpoint}`);
+    }
+    breaker.state = 'closed';
+    breaker.failures = 0;
+    breaker.openedAt = null;
+  }
+
+  recordFailure(endpoint) {
+    const breaker = this.getBreaker(endpoint);
+    breaker.failures++;
+    if (breaker.state === 'half-open' || breaker.failures >= this.breakerThreshold) {
+      if (breaker.state !== 'open') {
+        console.log(`[CTAAAPI] Circuit open for ${endpoint} after ${breaker.failures} failures`);
+      }
+      breaker.state = 'open';
+      breaker.openedAt = Date.now();
+    }
+  }
+
+  // options.method and options.body send something other than a GET, to
+  // options.path when it differs from the endpoint that health and the
+  // breaker are tracked under. Only GETs are retried, since repeating a
+  // write could apply it twice.
+  async makeRequest(endpoint, options = {}) {
+    this.checkBreaker(endpoint);
+
+    const retries = options.method && options.method !== 'GET' ? 0 : this.maxRetries;
+    let lastError;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        const delay = this.retryDelay * Math.pow(2, attempt - 1);
+        console.log(`[CTAAAPI] Retrying ${endpoint} in ${delay}ms (attempt ${attempt + 1})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+
+      try {
+        const startedAt = Date.now();
+        const data = await this.sendRequest(options.path || endpoint, options);
+        const health = this.getHealth(endpoint);
+        health.latencyMs = Date.now() - startedAt;
+        health.lastSuccess = Date.now();
+        health.lastError = null;
+        this.recordSuccess(endpoint);
+        return data;
+      } catch (error) {
+        // Client errors won't get better by asking again, and they prove the
+        // upstream is alive, so they don't count against the breaker
+        if (error.statusCode && error.statusCode < 500) {
+          this.recordSuccess(endpoint);
+          throw error;
+        }
+        lastError = error;
+        // Every attempt counts, so a dead upstream trips the breaker within
+        // one call instead of holding up several with retries
+        this.recordFailure(endpoint);
+        if (this.getBreaker(endpoint).state === 'open') {
+          break;
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  sendRequest(endpoint, { method = 'GET', body } = {}) {
     return new Promise((resolve, reject) => {
       const url = `${this.baseUrl}${endpoint}`;
-      console.log(`[CTAAAPI] Making request to ${url}`);
+      console.log(`[CTAAAPI] Making ${method} request to ${url}`);
       
-      const request = http.get(url, (response) => {
+      const payload = body !== undefined ? JSON.stringify(body) : null;
+      const headers = payload !== null
+        ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }
+        : {};
+      const client = new URL(url).protocol === 'https:' ? https : http;
+      const request = client.request(url, { method, headers }, (response) => {
         let data = '';
         
         response.on('data', (chunk) => {
@@ -58,8 +387,16 @@ class CTAAPIService {
         });
         
         response.on('end', () => {
+          if (response.statusCode < 200 || response.statusCode >= 300) {
+            const error = new Error(`Request failed with status ${response.statusCode}`);
+            error.statusCode = response.statusCode;
+            reject(error);
+            return;
+          }
+
           try {
-            const jsonData = JSON.parse(data);
+            // Writes may answer with an empty body
+            const jsonData = data.trim() ? JSON.parse(data) : null;
             resolve(jsonData);
           } catch (parseError) {
             reject(new Error(`Failed to parse JSON: ${parseError.message}`));
@@ -71,28 +408,57 @@ class CTAAPIService {
         reject(error);
       });
 
-      request.setTimeout(10000, () => {
+      request.setTimeout(this.requestTimeout, () => {
         request.destroy();
         reject(new Error('Request timeout'));
       });
+
+      request.end(payload);
     });
   }
 
-  async getTransitData() {
-    return this.fetchWithCache(this.endpoints.transit, 'transit');
+  async getTransitData(maxAge) {
+    return this.fetchWithCache(this.endpoints.transit, 'transit', maxAge);
+  }
+
+  async getEventsData(maxAge) {
+    return this.fetchWithCache(this.endpoints.events, 'events', maxAge);
   }
 
-  async getEventsData() {
-    return this.fetchWithCache(this.endpoints.events, 'events');
+  async getTasksData(maxAge) {
+    return this.fetchWithCache(this.endpoints.tasks, 'tasks', maxAge);
+  }
+
+  // Scores a Habitica task up (complete) or down (uncomplete) through the
+  // upstream, then drops the cached tasks so the next read shows the change
+  async scoreTask(taskId, direction) {
+    const result = await this.makeRequest(this.endpoints.tasks, {
+      method: 'POST',
+      path: `${this.endpoints.tasks}/tasks/${encodeURIComponent(taskId)}/score/${direction}`
+    });
+    this.invalidate('tasks');
+    return result;
   }
 
-  async getTasksData() {
-    return this.fetchWithCache(this.endpoints.tasks, 'tasks');
+  // Makes the next read of a source go upstream, rather than joining a
+  // request that was already in flight. The old data stays around to be
+  // served as stale if that request fails.
+  invalidate(cacheKey) {
+    const cached = this.cache.get(cacheKey);
+    if (cached) {
+      cached.invalidated = true;
+    }
+    this.generations.set(cacheKey, (this.generations.get(cacheKey) || 0) + 1);
+    this.inflight.delete(cacheKey);
+    console.log(`[CTAAAPI] Cache invalidated for ${cacheKey}`);
   }
 
-  // Transform CTA transit data to card format
-  transformTransitData(data) {
-    if (!data || !Array.isArray(data)) {
+  // Transform CTA transit data to card format. options are a transit card's
+  // providerOptions (stops, routes, directions, maxRows, groupBy,
+  // arrivalsPerRoute, timezone); minutesAway is computed against now.
+  transformTransitData(data, fetchedAt = null, options = {}, now = new Date()) {
+    const rows = transitArrivals.rows(data);
+    if (!rows) {
       return {
         title: "CTA Transit",
         content: "Transit data unavailable",
@@ -100,24 +466,41 @@ class CTAAPIService {
       };
     }
 
-    const items = data.slice(0, 5).map(stop => ({
-      route: stop.route || 'Unknown Route',
-      destination: stop.destination || 'Unknown Destination', 
-      arrivalTime: stop.arrival_time || stop.arrivalTime || 'TBD',
-      minutes: stop.minutes_away || stop.minutesAway || 'N/A'
-    }));
+    const { maxRows = 5, groupBy = 'none', arrivalsPerRoute = 3, timezone } = options;
+    const arrivals = transitArrivals.select(
+      rows.filter(row => row && typeof row === 'object').map(row => transitArrivals.normalize(row, fetchedAt, timezone)),
+      options,
+      now
+    );
+
+    const grouped = groupBy === 'route';
+    const items = (grouped ? transitArrivals.group(arrivals, arrivalsPerRoute) : arrivals)
+      .slice(0, maxRows)
+      // `minutes` is what displays read before minutesAway existed
+      .map(item => ({ ...item, minutes: item.minutesAway }));
+
+    const stopNames = [...new Set(items.map(item => item.stopName).filter(Boolean))];
+    let subtitle = grouped ? `${items.length} routes` : `Next ${items.length} arrivals`;
+    if (items.length === 0) {
+      subtitle = 'No upcoming arrivals';
+    } else if (stopNames.length === 1) {
+      subtitle = `${stopNames[0]} - ${subtitle}`;
+    }
 
     return {
       title: "CTA Transit",
-      subtitle: `Next ${items.length} arrivals`,
+      subtitle,
       items,
-      lastUpdated: new Date().toISOString()
+      lastUpdated: fetchedAt
     };
   }
 
-  // Transform calendar events to card format
-  transformEventsData(data) {
-    if (!data || !Array.isArray(data)) {
+  // Transform calendar events to card format. options are an events card's
+  // providerOptions (lookaheadDays, maxItems, groupByDay, highlight,
+  // timezone); rows may also come from an expanded .ics file.
+  transformEventsData(data, fetchedAt = null, options = {}, now = new Date()) {
+    const rows = calendarEvents.rows(data);
+    if (!rows) {
       return {
         title: "Calendar Events",
         content: "No events available",
@@ -125,23 +508,43 @@ class CTAAPIService {
       };
     }
 
-    const items = data.slice(0, 5).map(event => ({
-      title: event.title || event.summary || 'Untitled Event',
-      time: event.start_time || event.startTime || event.start || 'TBD',
-      description: event.description || '',
-      location: event.location || ''
-    }));
+    const { lookaheadDays = 7, maxItems = 5, groupByDay = false, timezone = profileSchedule.DEFAULT_TIMEZONE } = options;
+    const events = calendarEvents.select(
+      rows
+        .filter(row => row && typeof row === 'object')
+        .map(row => calendarEvents.normalize(row, fetchedAt, timezone))
+        .filter(event => event !== null),
+      options,
+      timezone,
+      now
+    );
+
+    const items = events.slice(0, maxItems).map(event => calendarEvents.describe(event, timezone, now));
+    const todayCount = events.filter(event => calendarEvents.isToday(event, timezone, now)).length;
+    const count = n => `${n} event${n === 1 ? '' : 's'}`;
+
+    let subtitle;
+    if (lookaheadDays === 0) {
+      subtitle = todayCount > 0 ? `${count(todayCount)} today` : 'Nothing else today';
+    } else if (events.length === 0) {
+      subtitle = `Nothing in the next ${lookaheadDays} days`;
+    } else {
+      subtitle = `${todayCount} today, ${count(events.length)} in the next ${lookaheadDays} days`;
+    }
 
     return {
       title: "Upcoming Events",
-      subtitle: `${items.length} events today`,
+      subtitle,
       items,
-      lastUpdated: new Date().toISOString()
+      ...(groupByDay ? { groups: calendarEvents.groupByDay(items, timezone, now) } : {}),
+      lastUpdated: fetchedAt
     };
   }
 
-  // Transform Habitica tasks to card format
-  transformTasksData(data) {
+  // Transform Habitica tasks to card format. options are a tasks card's
+  // providerOptions (types, includeCompleted, sortBy, maxItems); totals
+  // cover every task of the selected types, not just the ones shown.
+  transformTasksData(data, fetchedAt = null, options = {}) {
     if (!data) {
       return {
         title: "Habitica Tasks", 
@@ -150,24 +553,22 @@ class CTAAPIService {
       };
     }
 
-    // Handle both array format and object with tasks property
-    const tasks = Array.isArray(data) ? data : (data.tasks || []);
-    
-    const items = tasks.slice(0, 5).map(task => ({
-      title: task.text || task.title || 'Untitled Task',
-      type: task.type || 'todo',
-      priority: task.priority || 'normal',
-      completed: task.completed || false,
-      difficulty: task.difficulty || 1
-    }));
+    const { types, includeCompleted = true, sortBy = 'none', maxItems = 5 } = options;
+    const tasks = habiticaTasks.rows(data)
+      .filter(task => task && typeof task === 'object')
+      .map(task => habiticaTasks.normalize(task))
+      .filter(task => !types || types.includes(task.type));
 
-    const completedCount = items.filter(task => task.completed).length;
+    const completedCount = tasks.filter(task => task.completed).length;
+    const items = habiticaTasks.sort(includeCompleted ? tasks : tasks.filter(task => !task.completed), sortBy)
+      .slice(0, maxItems);
 
     return {
       title: "Habitica Tasks",
-      subtitle: `${completedCount}/${items.length} completed`,
+      subtitle: `${completedCount}/${tasks.length} completed`,
       items,
-      lastUpdated: new Date().toISOString()
+      totals: { total: tasks.length, completed: completedCount, shown: items.length },
+      lastUpdated: fetchedAt
     };
   }
 
@@ -179,16 +580,15 @@ class CTAAPIService {
       this.getTasksData()
     ]);
 
+    const transform = (settled, transformer) => {
+      const { data, meta } = settled.status === 'fulfilled' ? settled.value : { data: null, meta: {} };
+      return transformer.call(this, data, meta.fetchedAt);
+    };
+
     return {
-      transit: this.transformTransitData(
-        transitData.status === 'fulfilled' ? transitData.value : null
-      ),
-      events: this.transformEventsData(
-        eventsData.status === 'fulfilled' ? eventsData.value : null
-      ),
-      tasks: this.transformTasksData(
-        tasksData.status === 'fulfilled' ? tasksData.value : null
-      )
+      transit: transform(transitData, this.transformTransitData),
+      events: transform(eventsData, this.transformEventsData),
+      tasks: transform(tasksData, this.transformTasksData)
     };
   }
 
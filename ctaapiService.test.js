@@ -0,0 +1,180 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ctaapiService = require('./ctaapiService');
+const { createStorage } = require('./storage');
+
+// Upstream responses the test resolves by hand, in request order
+function deferredRequests() {
+  const pending = [];
+  jest.spyOn(ctaapiService, 'sendRequest').mockImplementation(() => new Promise(resolve => {
+    pending.push(resolve);
+  }));
+  return pending;
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  ctaapiService.clearCache();
+  ctaapiService.inflight.clear();
+  jest.restoreAllMocks();
+});
+
+describe('request dedupe', () => {
+  test('concurrent reads share one upstream request', async () => {
+    const pending = deferredRequests();
+    const first = ctaapiService.getTasksData();
+    const second = ctaapiService.getTasksData();
+    expect(pending).toHaveLength(1);
+
+    pending[0]([{ id: 'a' }]);
+    expect((await first).data).toEqual([{ id: 'a' }]);
+    expect((await second).data).toEqual([{ id: 'a' }]);
+    expect(ctaapiService.inflight.size).toBe(0);
+  });
+
+  test('a request sent before invalidate() is not joined or cached', async () => {
+    const pending = deferredRequests();
+    const beforeWrite = ctaapiService.getTasksData();
+    ctaapiService.invalidate('tasks');
+    const afterWrite = ctaapiService.getTasksData();
+    expect(pending).toHaveLength(2);
+
+    pending[1]([{ id: 'a', completed: true }]);
+    await afterWrite;
+    pending[0]([{ id: 'a', completed: false }]);
+    expect((await beforeWrite).data).toEqual([{ id: 'a', completed: false }]);
+
+    expect(ctaapiService.cache.get('tasks').data).toEqual([{ id: 'a', completed: true }]);
+    const cached = await ctaapiService.getTasksData();
+    expect(cached.meta.source).toBe('cached');
+    expect(cached.data).toEqual([{ id: 'a', completed: true }]);
+  });
+
+  test('the superseded request settling leaves the newer one shared', async () => {
+    const pending = deferredRequests();
+    const beforeWrite = ctaapiService.getTasksData();
+    ctaapiService.invalidate('tasks');
+    const afterWrite = ctaapiService.getTasksData();
+
+    pending[0]([]);
+    await beforeWrite;
+    const joined = ctaapiService.getTasksData();
+    expect(pending).toHaveLength(2);
+
+    pending[1]([{ id: 'b' }]);
+    expect((await afterWrite).data).toEqual([{ id: 'b' }]);
+    expect((await joined).data).toEqual([{ id: 'b' }]);
+  });
+});
+
+describe('persisted cache', () => {
+  let dataDir;
+  let storage;
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ctaapi-cache-'));
+    storage = createStorage({ backend: 'file', dataDir });
+    await storage.init();
+    ctaapiService.use(storage);
+  });
+
+  afterEach(() => {
+    ctaapiService.use(null);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('writes a source only when its data changed, under the document lock', async () => {
+    const responses = [[{ id: 'a' }], [{ id: 'a' }], [{ id: 'b' }]];
+    jest.spyOn(ctaapiService, 'sendRequest').mockImplementation(async () => responses.shift());
+    const write = jest.spyOn(storage, 'write');
+    const withLock = jest.spyOn(storage, 'withLock');
+
+    for (let read = 0; read < 3; read++) {
+      await ctaapiService.getTasksData(0);
+    }
+
+    expect(write).toHaveBeenCalledTimes(2);
+    expect(withLock).toHaveBeenCalledWith('upstream-tasks.json', expect.any(Function));
+    const stored = await storage.read('upstream-tasks.json');
+    expect(stored.cacheKey).toBe('tasks');
+    expect(stored.data).toEqual([{ id: 'b' }]);
+  });
+});
+
+describe('retries and circuit breaker', () => {
+  const endpoint = '/api/breaker-test';
+  const { retryDelay } = ctaapiService;
+
+  beforeEach(() => {
+    ctaapiService.retryDelay = 0;
+  });
+
+  afterEach(() => {
+    ctaapiService.retryDelay = retryDelay;
+    ctaapiService.breakers.delete(endpoint);
+    ctaapiService.health.delete(endpoint);
+  });
+
+  test('every failed attempt counts toward opening the circuit', async () => {
+    const send = jest.spyOn(ctaapiService, 'sendRequest').mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    await expect(ctaapiService.makeRequest(endpoint)).rejects.toThrow('ECONNREFUSED');
+    expect(send).toHaveBeenCalledTimes(ctaapiService.breakerThreshold);
+    expect(ctaapiService.getBreaker(endpoint).state).toBe('open');
+
+    await expect(ctaapiService.makeRequest(endpoint)).rejects.toThrow(`Circuit open for ${endpoint}`);
+    expect(send).toHaveBeenCalledTimes(ctaapiService.breakerThreshold);
+  });
+
+  test('client errors are not retried and keep the circuit closed', async () => {
+    const error = Object.assign(new Error('Request failed with status 404'), { statusCode: 404 });
+    const send = jest.spyOn(ctaapiService, 'sendRequest').mockRejectedValue(error);
+
+    await expect(ctaapiService.makeRequest(endpoint)).rejects.toBe(error);
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(ctaapiService.getBreaker(endpoint).state).toBe('closed');
+  });
+});
+
+describe('settings from the environment', () => {
+  const saved = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...saved };
+  });
+
+  function freshService() {
+    let service;
+    jest.isolateModules(() => {
+      service = require('./ctaapiService');
+    });
+    return service;
+  }
+
+  test('invalid values fall back to the defaults', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    Object.assign(process.env, {
+      CTAAPI_RETRIES: 'abc',
+      CTAAPI_TIMEOUT: '-5',
+      CTAAPI_TTL_TRANSIT: 'soon'
+    });
+
+    const service = freshService();
+    expect(service.maxRetries).toBe(2);
+    expect(service.requestTimeout).toBe(5000);
+    expect(service.ttls.transit).toBe(60 * 1000);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('CTAAPI_RETRIES=abc'));
+  });
+
+  test('valid values are used, including zero retries', () => {
+    Object.assign(process.env, { CTAAPI_RETRIES: '0', CTAAPI_TIMEOUT: '2500' });
+
+    const service = freshService();
+    expect(service.maxRetries).toBe(0);
+    expect(service.requestTimeout).toBe(2500);
+  });
+});
@@ -0,0 +1,92 @@
+// The built-in template. It is written to storage on first start, after
+// which it is edited like any other template, and it is what screens show
+// while they have no active profile. Its cards travel with it and are only
+// created as real cards when a profile is made from it.
+
+module.exports = {
+  id: 'default',
+  name: 'Default Dashboard',
+  description: 'Welcome text, transit, events and tasks across three columns',
+  grid: {
+    columns: '400px 1fr 400px',
+    rows: '1fr'
+  },
+  zones: {
+    left: {
+      name: 'Sidebar',
+      width: 400,
+      height: 600,
+      cards: ['default-welcome', 'default-transit']
+    },
+    center: {
+      name: 'Main Content',
+      width: 800,
+      height: 600,
+      cards: ['default-events', 'default-activity']
+    },
+    right: {
+      name: 'Right Sidebar',
+      width: 400,
+      height: 600,
+      cards: ['default-tasks', 'default-notifications']
+    }
+  },
+  cards: [
+    {
+      id: 'default-welcome',
+      type: 'text',
+      config: {
+        title: 'Welcome to Projector',
+        content: 'This is your dashboard. You can customize zones and add various card types to display different information.',
+        backgroundColor: '#f8f9fa',
+        textColor: '#333'
+      }
+    },
+    {
+      id: 'default-transit',
+      type: 'transit',
+      config: {
+        title: 'CTA Transit',
+        content: 'Loading transit data...',
+        backgroundColor: '#fff3cd'
+      }
+    },
+    {
+      id: 'default-events',
+      type: 'events',
+      config: {
+        title: 'Calendar Events',
+        content: 'Loading events...',
+        backgroundColor: '#d1ecf1'
+      }
+    },
+    {
+      id: 'default-activity',
+      type: 'activity',
+      config: {
+        title: 'Recent Activity',
+        backgroundColor: '#f8f9fa'
+      }
+    },
+    {
+      id: 'default-tasks',
+      type: 'tasks',
+      config: {
+        title: 'Habitica Tasks',
+        content: 'Loading tasks...',
+        backgroundColor: '#d4edda'
+      }
+    },
+    {
+      id: 'default-notifications',
+      type: 'status',
+      config: {
+        title: 'Notifications',
+        items: [
+          { label: 'Welcome!', status: 'new', color: 'blue' },
+          { label: 'Setup Complete', status: 'success', color: 'green' }
+        ]
+      }
+    }
+  ]
+};
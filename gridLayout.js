@@ -0,0 +1,164 @@
+// Resolves a profile's zones and optional `grid` definition into a CSS grid
+// (track sizes plus a rectangular `areas` matrix). Zones are placed, in order
+// of precedence, by `grid.areas`, by each zone's `position`, or in a single
+// row in declaration order.
+
+const EMPTY_CELL = '.';
+const ZONE_ID_PATTERN = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+
+const gridLayout = {
+  ZONE_ID_PATTERN,
+
+  resolve(profile) {
+    const zones = profile.zones || {};
+    const grid = profile.grid || {};
+    const zoneIds = Object.keys(zones);
+
+    if (zoneIds.length === 0) {
+      throw new Error('Profile must define at least one zone');
+    }
+
+    let areas;
+    if (grid.areas) {
+      const positioned = zoneIds.find(zoneId => zones[zoneId].position);
+      if (positioned) {
+        throw new Error(`Zone "${positioned}" cannot define a position when grid.areas is set`);
+      }
+      areas = grid.areas.map(row => [...row]);
+    } else if (zoneIds.some(zoneId => zones[zoneId].position)) {
+      areas = this.areasFromPositions(zones);
+    } else {
+      areas = [zoneIds];
+    }
+
+    const placements = this.placements(areas, zoneIds);
+
+    const layout = {
+      columns: this.tracks(grid.columns, areas[0].length, 'column', zones, placements),
+      rows: this.tracks(grid.rows, areas.length, 'row', zones, placements),
+      areas
+    };
+
+    if (grid.gap !== undefined) {
+      layout.gap = typeof grid.gap === 'number' ? `${grid.gap}px` : grid.gap;
+    }
+
+    return { gridConfig: layout, placements };
+  },
+
+  areasFromPositions(zones) {
+    const missing = Object.keys(zones).find(zoneId => !zones[zoneId].position);
+    if (missing) {
+      throw new Error(`Zone "${missing}" needs a position when other zones are positioned`);
+    }
+
+    let rowCount = 0;
+    let columnCount = 0;
+    Object.values(zones).forEach(({ position }) => {
+      rowCount = Math.max(rowCount, position.row + (position.rowSpan || 1) - 1);
+      columnCount = Math.max(columnCount, position.column + (position.columnSpan || 1) - 1);
+    });
+
+    const areas = Array.from({ length: rowCount }, () => Array(columnCount).fill(EMPTY_CELL));
+
+    Object.entries(zones).forEach(([zoneId, { position }]) => {
+      const lastRow = position.row + (position.rowSpan || 1) - 1;
+      const lastColumn = position.column + (position.columnSpan || 1) - 1;
+
+      for (let row = position.row; row <= lastRow; row++) {
+        for (let column = position.column; column <= lastColumn; column++) {
+          const occupant = areas[row - 1][column - 1];
+          if (occupant !== EMPTY_CELL) {
+            throw new Error(`Zones "${occupant}" and "${zoneId}" overlap at row ${row}, column ${column}`);
+          }
+          areas[row - 1][column - 1] = zoneId;
+        }
+      }
+    });
+
+    return areas;
+  },
+
+  // Checks that every zone occupies exactly one rectangle of the matrix and
+  // returns each zone's 1-based row/column placement
+  placements(areas, zoneIds) {
+    const width = areas[0].length;
+    const bounds = {};
+
+    areas.forEach((row, rowIndex) => {
+      if (row.length !== width) {
+        throw new Error(`grid.areas row ${rowIndex + 1} has ${row.length} cells, expected ${width}`);
+      }
+
+      row.forEach((cell, columnIndex) => {
+        if (cell === EMPTY_CELL) {
+          return;
+        }
+        if (!zoneIds.includes(cell)) {
+          throw new Error(`grid.areas references unknown zone "${cell}"`);
+        }
+
+        const box = bounds[cell] || (bounds[cell] = {
+          top: rowIndex, bottom: rowIndex, left: columnIndex, right: columnIndex, cells: 0
+        });
+        box.top = Math.min(box.top, rowIndex);
+        box.bottom = Math.max(box.bottom, rowIndex);
+        box.left = Math.min(box.left, columnIndex);
+        box.right = Math.max(box.right, columnIndex);
+        box.cells++;
+      });
+    });
+
+    const placements = {};
+    zoneIds.forEach(zoneId => {
+      const box = bounds[zoneId];
+      if (!box) {
+        throw new Error(`Zone "${zoneId}" is not placed in the grid`);
+      }
+
+      const rowSpan = box.bottom - box.top + 1;
+      const columnSpan = box.right - box.left + 1;
+      if (box.cells !== rowSpan * columnSpan) {
+        throw new Error(`Zone "${zoneId}" does not form a rectangle in grid.areas`);
+      }
+
+      placements[zoneId] = {
+        row: box.top + 1,
+        column: box.left + 1,
+        rowSpan,
+        columnSpan
+      };
+    });
+
+    return placements;
+  },
+
+  // Explicit track sizes win; otherwise a track takes the size stored on the
+  // zones that sit in it alone (width for columns, height for rows)
+  tracks(explicit, count, axis, zones, placements) {
+    if (typeof explicit === 'string') {
+      return explicit;
+    }
+
+    if (Array.isArray(explicit)) {
+      if (explicit.length !== count) {
+        throw new Error(`grid.${axis}s defines ${explicit.length} tracks, expected ${count}`);
+      }
+      return explicit.map(size => (typeof size === 'number' ? `${size}px` : size)).join(' ');
+    }
+
+    const sizeKey = axis === 'column' ? 'width' : 'height';
+    const spanKey = axis === 'column' ? 'columnSpan' : 'rowSpan';
+
+    const sizes = Array.from({ length: count }, (_, index) => {
+      const size = Object.entries(placements)
+        .filter(([, placement]) => placement[axis] === index + 1 && placement[spanKey] === 1)
+        .reduce((max, [zoneId]) => Math.max(max, zones[zoneId][sizeKey] || 0), 0);
+      return size > 0 ? `${size}px` : '1fr';
+    });
+
+    return sizes.join(' ');
+  }
+};
+
+module.exports = gridLayout;
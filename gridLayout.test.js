@@ -0,0 +1,83 @@
+const gridLayout = require('./gridLayout');
+
+describe('resolve', () => {
+  test('lays zones out in one row in declaration order by default', () => {
+    const { gridConfig, placements } = gridLayout.resolve({
+      zones: { left: { width: 300, height: 200 }, right: { width: 0, height: 200 } }
+    });
+    expect(gridConfig).toEqual({ columns: '300px 1fr', rows: '200px', areas: [['left', 'right']] });
+    expect(placements.right).toEqual({ row: 1, column: 2, rowSpan: 1, columnSpan: 1 });
+  });
+
+  test('places zones by position, leaving gaps empty', () => {
+    const { gridConfig, placements } = gridLayout.resolve({
+      zones: {
+        header: { width: 0, height: 80, position: { row: 1, column: 1, columnSpan: 3 } },
+        main: { width: 600, height: 0, position: { row: 2, column: 1, columnSpan: 2 } },
+        side: { width: 200, height: 0, position: { row: 3, column: 3 } }
+      }
+    });
+    expect(gridConfig.areas).toEqual([
+      ['header', 'header', 'header'],
+      ['main', 'main', '.'],
+      ['.', '.', 'side']
+    ]);
+    // Spanning zones don't size the tracks they cover
+    expect(gridConfig.columns).toBe('1fr 1fr 200px');
+    expect(gridConfig.rows).toBe('80px 1fr 1fr');
+    expect(placements.main).toEqual({ row: 2, column: 1, rowSpan: 1, columnSpan: 2 });
+  });
+
+  test('takes grid.areas and explicit tracks as given', () => {
+    const { gridConfig, placements } = gridLayout.resolve({
+      grid: {
+        areas: [['nav', 'main'], ['nav', 'footer']],
+        columns: [240, '1fr'],
+        rows: 'auto 60px',
+        gap: 8
+      },
+      zones: { nav: { width: 0, height: 0 }, main: { width: 0, height: 0 }, footer: { width: 0, height: 0 } }
+    });
+    expect(gridConfig).toEqual({
+      columns: '240px 1fr',
+      rows: 'auto 60px',
+      areas: [['nav', 'main'], ['nav', 'footer']],
+      gap: '8px'
+    });
+    expect(placements.nav).toEqual({ row: 1, column: 1, rowSpan: 2, columnSpan: 1 });
+  });
+
+  test.each([
+    ['no zones', { zones: {} }, 'at least one zone'],
+    ['positions alongside grid.areas', {
+      grid: { areas: [['a']] },
+      zones: { a: { position: { row: 1, column: 1 } } }
+    }, 'cannot define a position'],
+    ['only some zones positioned', {
+      zones: { a: { position: { row: 1, column: 1 } }, b: {} }
+    }, 'Zone "b" needs a position'],
+    ['overlapping positions', {
+      zones: { a: { position: { row: 1, column: 1, columnSpan: 2 } }, b: { position: { row: 1, column: 2 } } }
+    }, 'overlap at row 1, column 2'],
+    ['ragged areas', { grid: { areas: [['a', 'b'], ['a']] }, zones: { a: {}, b: {} } }, 'row 2 has 1 cells'],
+    ['unknown zones in areas', { grid: { areas: [['a', 'x']] }, zones: { a: {} } }, 'unknown zone "x"'],
+    ['zones missing from areas', { grid: { areas: [['a']] }, zones: { a: {}, b: {} } }, 'Zone "b" is not placed'],
+    ['non-rectangular zones', {
+      grid: { areas: [['a', 'a'], ['a', 'b']] },
+      zones: { a: {}, b: {} }
+    }, 'does not form a rectangle'],
+    ['the wrong number of tracks', {
+      grid: { columns: ['1fr'] },
+      zones: { a: {}, b: {} }
+    }, 'grid.columns defines 1 tracks, expected 2']
+  ])('rejects %s', (name, profile, message) => {
+    expect(() => gridLayout.resolve(profile)).toThrow(message);
+  });
+});
+
+describe('ZONE_ID_PATTERN', () => {
+  test('accepts names usable as CSS grid area names', () => {
+    expect(['main', 'side_bar', 'zone-2', '_top'].every(id => gridLayout.ZONE_ID_PATTERN.test(id))).toBe(true);
+    expect(['2col', 'has space', 'a.b', ''].some(id => gridLayout.ZONE_ID_PATTERN.test(id))).toBe(false);
+  });
+});
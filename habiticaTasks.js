@@ -0,0 +1,100 @@
+// Normalizes Habitica tasks from the CTAAPI /api/habitica endpoint and
+// orders them for tasks cards. Habitica sends priority as a difficulty
+// multiplier (0.1, 1, 1.5, 2); older feeds send words ("low", "high"), and
+// both are ranked on the same scale. Todos carry their due date in `date`.
+
+const TYPES = ['habit', 'daily', 'todo', 'reward'];
+const SORTS = ['none', 'priority', 'dueDate'];
+
+const PRIORITY_RANKS = { trivial: 0, low: 0, easy: 1, normal: 1, medium: 2, hard: 3, high: 3 };
+
+function priorityRank(priority) {
+  if (typeof priority === 'number') {
+    if (priority <= 0.1) {
+      return 0;
+    }
+    if (priority <= 1) {
+      return 1;
+    }
+    return priority <= 1.5 ? 2 : 3;
+  }
+  const rank = PRIORITY_RANKS[String(priority).toLowerCase()];
+  return rank === undefined ? 1 : rank;
+}
+
+function dueDate(task) {
+  const value = task.date || task.due_date || task.dueDate;
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Earlier due dates first, undated tasks last
+function compareDue(a, b) {
+  if (a.dueDate === b.dueDate) {
+    return 0;
+  }
+  if (a.dueDate === null || b.dueDate === null) {
+    return a.dueDate === null ? 1 : -1;
+  }
+  return a.dueDate < b.dueDate ? -1 : 1;
+}
+
+const habiticaTasks = {
+  TYPES,
+  SORTS,
+
+  // Accepts a bare array, { tasks } or Habitica's own { success, data }
+  rows(data) {
+    if (Array.isArray(data)) {
+      return data;
+    }
+    if (data && Array.isArray(data.tasks)) {
+      return data.tasks;
+    }
+    if (data && Array.isArray(data.data)) {
+      return data.data;
+    }
+    return [];
+  },
+
+  // `actions` lists the card actions that apply to the task in its current
+  // state, so displays know what a tap should do
+  normalize(task) {
+    const type = task.type || 'todo';
+    const completed = Boolean(task.completed);
+    let actions = [];
+    if (type === 'habit') {
+      actions = ['score'];
+    } else if (type === 'todo' || type === 'daily') {
+      actions = [completed ? 'uncomplete' : 'complete'];
+    }
+
+    return {
+      id: task.id || task._id || null,
+      title: task.text || task.title || 'Untitled Task',
+      type,
+      priority: task.priority || 'normal',
+      completed,
+      difficulty: task.difficulty || 1,
+      dueDate: dueDate(task),
+      actions
+    };
+  },
+
+  // Open tasks come before completed ones whenever a sort is asked for
+  sort(items, sortBy = 'none') {
+    if (sortBy === 'none') {
+      return items;
+    }
+    const byPriority = (a, b) => priorityRank(b.priority) - priorityRank(a.priority);
+    const compare = sortBy === 'priority'
+      ? (a, b) => byPriority(a, b) || compareDue(a, b)
+      : (a, b) => compareDue(a, b) || byPriority(a, b);
+    return [...items].sort((a, b) => Number(a.completed) - Number(b.completed) || compare(a, b));
+  }
+};
+
+module.exports = habiticaTasks;
@@ -0,0 +1,84 @@
+const habiticaTasks = require('./habiticaTasks');
+
+describe('rows', () => {
+  test('accepts bare arrays, { tasks } and Habitica envelopes', () => {
+    const rows = [{ text: 'Water plants' }];
+    expect(habiticaTasks.rows(rows)).toBe(rows);
+    expect(habiticaTasks.rows({ tasks: rows })).toBe(rows);
+    expect(habiticaTasks.rows({ success: true, data: rows })).toBe(rows);
+    expect(habiticaTasks.rows({ success: false })).toEqual([]);
+    expect(habiticaTasks.rows(null)).toEqual([]);
+  });
+});
+
+describe('normalize', () => {
+  test('fills in defaults for sparse tasks', () => {
+    expect(habiticaTasks.normalize({ _id: 'abc' })).toEqual({
+      id: 'abc',
+      title: 'Untitled Task',
+      type: 'todo',
+      priority: 'normal',
+      completed: false,
+      difficulty: 1,
+      dueDate: null,
+      actions: ['complete']
+    });
+  });
+
+  test('offers the actions that fit the type and state', () => {
+    const actions = task => habiticaTasks.normalize(task).actions;
+    expect(actions({ type: 'habit' })).toEqual(['score']);
+    expect(actions({ type: 'daily', completed: true })).toEqual(['uncomplete']);
+    expect(actions({ type: 'todo', completed: false })).toEqual(['complete']);
+    expect(actions({ type: 'reward' })).toEqual([]);
+  });
+
+  test('reads the due date from any of its field names', () => {
+    expect(habiticaTasks.normalize({ date: '2026-10-20T05:00:00.000Z' }).dueDate).toBe('2026-10-20T05:00:00.000Z');
+    expect(habiticaTasks.normalize({ due_date: '2026-10-21T00:00:00Z' }).dueDate).toBe('2026-10-21T00:00:00.000Z');
+    expect(habiticaTasks.normalize({ dueDate: 'whenever' }).dueDate).toBeNull();
+  });
+});
+
+describe('sort', () => {
+  const task = (title, extra = {}) => ({ title, priority: 1, completed: false, dueDate: null, ...extra });
+
+  test('leaves the order alone without a sort', () => {
+    const items = [task('b'), task('a')];
+    expect(habiticaTasks.sort(items)).toBe(items);
+  });
+
+  test('ranks numeric and word priorities on one scale', () => {
+    const items = [
+      task('easy', { priority: 1 }),
+      task('trivial', { priority: 0.1 }),
+      task('high', { priority: 'high' }),
+      task('medium', { priority: 1.5 }),
+      task('low', { priority: 'Low' })
+    ];
+    expect(habiticaTasks.sort(items, 'priority').map(item => item.title)).toEqual(['high', 'medium', 'easy', 'trivial', 'low']);
+  });
+
+  test('sorts by due date with undated tasks last, breaking ties by priority', () => {
+    const items = [
+      task('undated', { priority: 2 }),
+      task('later', { dueDate: '2026-10-22T05:00:00.000Z' }),
+      task('sooner, easy', { dueDate: '2026-10-20T05:00:00.000Z' }),
+      task('sooner, hard', { dueDate: '2026-10-20T05:00:00.000Z', priority: 2 })
+    ];
+    expect(habiticaTasks.sort(items, 'dueDate').map(item => item.title))
+      .toEqual(['sooner, hard', 'sooner, easy', 'later', 'undated']);
+    // Equal priorities fall back to the due date
+    expect(habiticaTasks.sort(items, 'priority').map(item => item.title))
+      .toEqual(['sooner, hard', 'undated', 'sooner, easy', 'later']);
+  });
+
+  test('puts completed tasks after open ones', () => {
+    const items = [
+      task('done', { completed: true, priority: 2 }),
+      task('open', { priority: 0.1 })
+    ];
+    expect(habiticaTasks.sort(items, 'priority').map(item => item.title)).toEqual(['open', 'done']);
+    expect(items[0].title).toBe('done');
+  });
+});
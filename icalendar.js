@@ -0,0 +1,355 @@
+const profileSchedule = require('./profileSchedule');
+
+// Minimal iCalendar (RFC 5545) reader for events cards. It understands
+// VEVENTs with DTSTART, DTEND or DURATION, UTC, TZID and floating times,
+// all-day dates, EXDATE, RECURRENCE-ID overrides and RRULEs with FREQ
+// (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL and, for weekly
+// rules, BYDAY. Other rule parts are ignored. VTIMEZONE blocks are skipped;
+// TZIDs are taken as IANA zone names and fall back to the card's zone.
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY = 24 * 60 * 60 * 1000;
+
+// Upper bound on occurrences generated per open-ended rule once expansion has
+// skipped ahead to the window, so a huge window can't run away
+const MAX_OCCURRENCES = 5000;
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Splits on `separator` outside double quotes
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') {
+      quoted = !quoted;
+    }
+    if (char === separator && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+// "DTSTART;TZID=America/Chicago:20261019T150000" -> { name, params, value }
+function parseLine(line) {
+  let colon = -1;
+  let quoted = false;
+  for (let index = 0; index < line.length; index++) {
+    if (line[index] === '"') {
+      quoted = !quoted;
+    } else if (line[index] === ':' && !quoted) {
+      colon = index;
+      break;
+    }
+  }
+  if (colon === -1) {
+    return null;
+  }
+
+  const [name, ...rawParams] = splitOutsideQuotes(line.slice(0, colon), ';');
+  const params = {};
+  rawParams.forEach(param => {
+    const equals = param.indexOf('=');
+    if (equals > 0) {
+      params[param.slice(0, equals).toUpperCase()] = param.slice(equals + 1).replace(/^"|"$/g, '');
+    }
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// { date, time, zone } where time is null for all-day values and zone is
+// 'UTC', a TZID or null for floating times
+function parseDateValue(value, params) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  return {
+    date: `${year}-${month}-${day}`,
+    time: hours === undefined || params.VALUE === 'DATE' ? null : `${hours}:${minutes}:${seconds}`,
+    zone: utc ? 'UTC' : params.TZID || null
+  };
+}
+
+function instantOf(value, timeZone) {
+  if (value.zone === 'UTC') {
+    return Date.parse(`${value.date}T${value.time || '00:00:00'}Z`);
+  }
+  const zone = value.zone && profileSchedule.isValidTimezone(value.zone) ? value.zone : timeZone;
+  return profileSchedule.toInstant(value.date, value.time || '00:00:00', zone).getTime();
+}
+
+// "P1DT2H30M", "-PT15M", "P2W" -> milliseconds
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const total = (((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds);
+  return (sign === '-' ? -1 : 1) * total * 1000;
+}
+
+function parseRule(value) {
+  const parts = {};
+  value.split(';').forEach(part => {
+    const [key, partValue] = part.split('=');
+    if (key && partValue !== undefined) {
+      parts[key.toUpperCase()] = partValue;
+    }
+  });
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(parts.FREQ)) {
+    return null;
+  }
+  return {
+    freq: parts.FREQ,
+    interval: Math.max(1, Number(parts.INTERVAL) || 1),
+    count: parts.COUNT ? Number(parts.COUNT) : null,
+    until: parts.UNTIL ? parseDateValue(parts.UNTIL, {}) : null,
+    byDay: parts.BYDAY
+      ? parts.BYDAY.split(',').map(day => WEEKDAYS.indexOf(day.trim().slice(-2).toUpperCase())).filter(day => day >= 0)
+      : null
+  };
+}
+
+function weekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY);
+}
+
+function monthsBetween(from, to) {
+  const [fromYear, fromMonth] = from.split('-').map(Number);
+  const [toYear, toMonth] = to.split('-').map(Number);
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+}
+
+// Periods to skip so generation starts with the one `elapsed` days or
+// months (`unit` of them per period) after DTSTART, rounded down to a whole
+// number of intervals
+function firstStep(elapsed, unit, interval) {
+  return elapsed > 0 ? Math.floor(elapsed / unit / interval) * interval : 0;
+}
+
+function addMonths(date, months) {
+  const [year, month, day] = date.split('-').map(Number);
+  const total = year * 12 + (month - 1) + months;
+  const candidate = new Date(Date.UTC(Math.floor(total / 12), total % 12, day));
+  // Months without that day (the 31st, Feb 29) are skipped, as RFC 5545 says
+  return candidate.getUTCDate() === day ? candidate.toISOString().slice(0, 10) : null;
+}
+
+// Occurrence dates of a rule in order, starting with DTSTART's own date or,
+// given `after`, skipping whole periods that end before that date. Skipping
+// would throw COUNT off, so callers only pass it for rules without one.
+function* ruleDates(start, rule, after = start) {
+  if (rule.freq === 'WEEKLY') {
+    const days = rule.byDay && rule.byDay.length > 0 ? [...new Set(rule.byDay)] : [weekday(start)];
+    // Weeks start on Monday (the default WKST)
+    const weekStart = profileSchedule.shiftDate(start, -((weekday(start) + 6) % 7));
+    const offsets = days.map(day => (day + 6) % 7).sort((a, b) => a - b);
+    for (let week = firstStep(daysBetween(weekStart, after), 7, rule.interval); ; week += rule.interval) {
+      for (const offset of offsets) {
+        const date = profileSchedule.shiftDate(weekStart, week * 7 + offset);
+        if (date >= start) {
+          yield date;
+        }
+      }
+    }
+  }
+
+  const elapsed = rule.freq === 'DAILY' ? daysBetween(start, after) : monthsBetween(start, after);
+  const unit = rule.freq === 'YEARLY' ? 12 : 1;
+  for (let step = firstStep(elapsed, unit, rule.interval); ; step += rule.interval) {
+    if (rule.freq === 'DAILY') {
+      yield profileSchedule.shiftDate(start, step);
+    } else {
+      const date = addMonths(start, rule.freq === 'MONTHLY' ? step : step * 12);
+      if (date) {
+        yield date;
+      }
+    }
+  }
+}
+
+const icalendar = {
+  // Parses VEVENTs out of an .ics document, without expanding recurrences
+  parse(text) {
+    const lines = String(text).replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const events = [];
+    let event = null;
+    let nested = 0;
+
+    lines.forEach(rawLine => {
+      const line = parseLine(rawLine);
+      if (!line) {
+        return;
+      }
+
+      if (line.name === 'BEGIN') {
+        if (event) {
+          nested++;
+        } else if (line.value.toUpperCase() === 'VEVENT') {
+          event = { exdates: [] };
+        }
+        return;
+      }
+      if (line.name === 'END') {
+        if (event && nested > 0) {
+          nested--;
+        } else if (event && line.value.toUpperCase() === 'VEVENT') {
+          if (event.start) {
+            events.push(event);
+          }
+          event = null;
+        }
+        return;
+      }
+      // Properties of nested components (VALARM) aren't the event's
+      if (!event || nested > 0) {
+        return;
+      }
+
+      switch (line.name) {
+        case 'UID':
+          event.uid = line.value;
+          break;
+        case 'SUMMARY':
+          event.summary = unescapeText(line.value);
+          break;
+        case 'DESCRIPTION':
+          event.description = unescapeText(line.value);
+          break;
+        case 'LOCATION':
+          event.location = unescapeText(line.value);
+          break;
+        case 'STATUS':
+          event.status = line.value.toUpperCase();
+          break;
+        case 'DTSTART':
+          event.start = parseDateValue(line.value, line.params);
+          break;
+        case 'DTEND':
+          event.end = parseDateValue(line.value, line.params);
+          break;
+        case 'DURATION':
+          event.duration = parseDuration(line.value);
+          break;
+        case 'RRULE':
+          event.rule = parseRule(line.value);
+          break;
+        case 'EXDATE':
+          line.value.split(',').forEach(value => {
+            const exdate = parseDateValue(value, line.params);
+            if (exdate) {
+              event.exdates.push(exdate);
+            }
+          });
+          break;
+        case 'RECURRENCE-ID':
+          event.recurrenceId = parseDateValue(line.value, line.params);
+          break;
+        default:
+          break;
+      }
+    });
+
+    return events;
+  },
+
+  // Expands parsed events into rows overlapping [from, until): timed rows
+  // carry ISO start/end, all-day rows "YYYY-MM-DD" dates with an exclusive
+  // end. Cancelled events are left out.
+  expand(events, { from, until, timeZone = profileSchedule.DEFAULT_TIMEZONE }) {
+    const rows = [];
+    const overridden = new Set(events
+      .filter(event => event.recurrenceId)
+      .map(event => `${event.uid}\u0000${instantOf(event.recurrenceId, timeZone)}`));
+
+    events.forEach(event => {
+      if (event.status === 'CANCELLED') {
+        return;
+      }
+
+      const allDay = event.start.time === null;
+      const startInstant = instantOf(event.start, timeZone);
+      let duration;
+      if (event.end) {
+        duration = instantOf(event.end, timeZone) - startInstant;
+      } else if (event.duration !== undefined && event.duration !== null) {
+        duration = event.duration;
+      } else {
+        duration = allDay ? DAY : 0;
+      }
+      // All-day spans are kept in whole days so DST doesn't skew them
+      const days = allDay ? Math.max(1, Math.round(duration / DAY)) : 0;
+
+      const row = (date, instant) => {
+        const endDate = allDay ? profileSchedule.shiftDate(date, days) : null;
+        const end = allDay
+          ? instantOf({ date: endDate, time: null, zone: event.start.zone }, timeZone)
+          : instant + Math.max(0, duration);
+        // Zero-length events count as overlapping when they start inside
+        if (instant >= until.getTime() || Math.max(end, instant + 1) <= from.getTime()) {
+          return;
+        }
+        rows.push({
+          uid: event.rule ? `${event.uid}/${allDay ? date : new Date(instant).toISOString()}` : event.uid,
+          summary: event.summary,
+          description: event.description,
+          location: event.location,
+          allDay,
+          start: allDay ? date : new Date(instant).toISOString(),
+          end: allDay ? endDate : new Date(end).toISOString()
+        });
+      };
+
+      if (!event.rule || event.recurrenceId) {
+        row(event.start.date, startInstant);
+        return;
+      }
+
+      const excluded = new Set(event.exdates.map(exdate => instantOf(
+        exdate.time === null && !allDay ? { ...exdate, time: event.start.time, zone: event.start.zone } : exdate,
+        timeZone
+      )));
+      const untilInstant = event.rule.until ? instantOf(event.rule.until, timeZone) : Infinity;
+
+      // Rules without COUNT skip ahead to a little before the earliest
+      // occurrence that could still overlap the window (two days cover any
+      // difference between the event's zone and the card's)
+      const counted = event.rule.count !== null;
+      const after = counted
+        ? event.start.date
+        : profileSchedule.shiftDate(profileSchedule.localTime(new Date(from.getTime() - Math.max(0, duration)), timeZone).date, -2);
+
+      let generated = 0;
+      for (const date of ruleDates(event.start.date, event.rule, after)) {
+        const instant = instantOf({ ...event.start, date }, timeZone);
+        generated++;
+        if (instant > untilInstant || instant >= until.getTime() ||
+            (counted ? generated > event.rule.count : generated > MAX_OCCURRENCES)) {
+          break;
+        }
+        if (!excluded.has(instant) && !overridden.has(`${event.uid}\u0000${instant}`)) {
+          row(date, instant);
+        }
+      }
+    });
+
+    return rows;
+  }
+};
+
+module.exports = icalendar;
@@ -0,0 +1,140 @@
+const icalendar = require('./icalendar');
+
+const chicago = 'America/Chicago';
+
+function calendar(...events) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']), 'END:VCALENDAR'].join('\r\n');
+}
+
+function expand(text, from, until, timeZone = chicago) {
+  return icalendar.expand(icalendar.parse(text), { from: new Date(from), until: new Date(until), timeZone });
+}
+
+describe('parse', () => {
+  test('reads properties, unfolds lines and skips nested components', () => {
+    const [event] = icalendar.parse(calendar([
+      'UID:standup@example.com',
+      'SUMMARY:Stand-up\\, daily',
+      'DESCRIPTION:Line one\\nline',
+      '  two',
+      'DTSTART;TZID="America/Chicago":20261019T093000',
+      'DURATION:PT15M',
+      'BEGIN:VALARM',
+      'DESCRIPTION:Reminder',
+      'END:VALARM',
+      'LOCATION:Room 4'
+    ]));
+    expect(event).toMatchObject({
+      uid: 'standup@example.com',
+      summary: 'Stand-up, daily',
+      description: 'Line one\nline two',
+      location: 'Room 4',
+      start: { date: '2026-10-19', time: '09:30:00', zone: chicago },
+      duration: 15 * 60 * 1000
+    });
+  });
+
+  test('drops events without a start', () => {
+    expect(icalendar.parse(calendar(['UID:a', 'SUMMARY:No start']))).toEqual([]);
+  });
+});
+
+describe('expand', () => {
+  test('single events keep their zone and duration', () => {
+    const rows = expand(calendar(['UID:a', 'SUMMARY:Meeting', 'DTSTART;TZID=America/Chicago:20261020T150000', 'DTEND;TZID=America/Chicago:20261020T160000']),
+      '2026-10-19T05:00:00Z', '2026-10-27T05:00:00Z');
+    expect(rows).toEqual([expect.objectContaining({
+      uid: 'a', allDay: false, start: '2026-10-20T20:00:00.000Z', end: '2026-10-20T21:00:00.000Z'
+    })]);
+  });
+
+  test('all-day events carry dates with an exclusive end', () => {
+    const rows = expand(calendar(['UID:a', 'DTSTART;VALUE=DATE:20261021', 'DTEND;VALUE=DATE:20261023']),
+      '2026-10-19T05:00:00Z', '2026-10-27T05:00:00Z');
+    expect(rows).toEqual([expect.objectContaining({ allDay: true, start: '2026-10-21', end: '2026-10-23' })]);
+  });
+
+  test('recurrences keep local time across DST', () => {
+    const rows = expand(calendar(['UID:a', 'DTSTART;TZID=America/Chicago:20261030T090000', 'RRULE:FREQ=DAILY']),
+      '2026-10-31T05:00:00Z', '2026-11-03T06:00:00Z');
+    expect(rows.map(row => row.start)).toEqual([
+      '2026-10-31T14:00:00.000Z',
+      '2026-11-01T15:00:00.000Z',
+      '2026-11-02T15:00:00.000Z'
+    ]);
+  });
+
+  test('open-ended rules that started long ago still reach the window', () => {
+    const rows = expand(calendar(['UID:a', 'DTSTART:19900101T120000Z', 'RRULE:FREQ=DAILY']),
+      '2026-10-19T00:00:00Z', '2026-10-22T00:00:00Z', 'UTC');
+    expect(rows.map(row => row.start)).toEqual([
+      '2026-10-19T12:00:00.000Z',
+      '2026-10-20T12:00:00.000Z',
+      '2026-10-21T12:00:00.000Z'
+    ]);
+  });
+
+  test('skipping ahead keeps the phase of INTERVAL and BYDAY', () => {
+    // Every other week on Monday and Wednesday since Monday, Jan 4 2010
+    const rule = 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE';
+    const dates = count => expand(calendar(['UID:a', 'DTSTART:20100104T120000Z', `RRULE:${rule}${count}`]),
+      '2026-10-12T00:00:00Z', '2026-10-31T00:00:00Z', 'UTC').map(row => row.start.slice(0, 10));
+    // 2026-10-19 is 876 weeks after DTSTART, so its week is an on week
+    expect(dates('')).toEqual(['2026-10-19', '2026-10-21']);
+    // A COUNT rule is walked from DTSTART and must agree
+    expect(dates(';COUNT=100000')).toEqual(dates(''));
+  });
+
+  test('an occurrence that started before the window but overlaps it is kept', () => {
+    const rows = expand(calendar(['UID:a', 'DTSTART;VALUE=DATE:20000103', 'DTEND;VALUE=DATE:20000106', 'RRULE:FREQ=WEEKLY']),
+      '2026-10-20T05:00:00Z', '2026-10-21T05:00:00Z');
+    expect(rows).toEqual([expect.objectContaining({ start: '2026-10-19', end: '2026-10-22' })]);
+  });
+
+  test('monthly rules skip months without the day', () => {
+    const rows = expand(calendar(['UID:a', 'DTSTART;VALUE=DATE:20150131', 'RRULE:FREQ=MONTHLY']),
+      '2026-01-01T06:00:00Z', '2026-06-01T05:00:00Z');
+    expect(rows.map(row => row.start)).toEqual(['2026-01-31', '2026-03-31', '2026-05-31']);
+  });
+
+  test('COUNT counts from DTSTART', () => {
+    const rows = expand(calendar(['UID:a', 'DTSTART:20261001T120000Z', 'RRULE:FREQ=DAILY;COUNT=5']),
+      '2026-10-03T00:00:00Z', '2026-10-10T00:00:00Z', 'UTC');
+    expect(rows.map(row => row.start.slice(0, 10))).toEqual(['2026-10-03', '2026-10-04', '2026-10-05']);
+  });
+
+  test('UNTIL is inclusive', () => {
+    const rows = expand(calendar(['UID:a', 'DTSTART:20261019T120000Z', 'RRULE:FREQ=DAILY;UNTIL=20261021T120000Z']),
+      '2026-10-19T00:00:00Z', '2026-10-30T00:00:00Z', 'UTC');
+    expect(rows).toHaveLength(3);
+  });
+
+  test('EXDATE removes occurrences, including date-only ones on timed rules', () => {
+    const rows = expand(calendar([
+      'UID:a',
+      'DTSTART;TZID=America/Chicago:20261019T090000',
+      'RRULE:FREQ=DAILY;COUNT=4',
+      'EXDATE;TZID=America/Chicago:20261020T090000',
+      'EXDATE;VALUE=DATE:20261021'
+    ]), '2026-10-19T05:00:00Z', '2026-10-26T05:00:00Z');
+    expect(rows.map(row => row.start)).toEqual(['2026-10-19T14:00:00.000Z', '2026-10-22T14:00:00.000Z']);
+  });
+
+  test('RECURRENCE-ID overrides replace their occurrence', () => {
+    const rows = expand(calendar(
+      ['UID:a', 'SUMMARY:Class', 'DTSTART:20261019T150000Z', 'DURATION:PT1H', 'RRULE:FREQ=DAILY;COUNT=3'],
+      ['UID:a', 'SUMMARY:Class (moved)', 'RECURRENCE-ID:20261020T150000Z', 'DTSTART:20261020T180000Z', 'DURATION:PT1H']
+    ), '2026-10-19T00:00:00Z', '2026-10-23T00:00:00Z', 'UTC');
+    expect(rows.map(row => [row.summary, row.start]).sort((a, b) => (a[1] < b[1] ? -1 : 1))).toEqual([
+      ['Class', '2026-10-19T15:00:00.000Z'],
+      ['Class (moved)', '2026-10-20T18:00:00.000Z'],
+      ['Class', '2026-10-21T15:00:00.000Z']
+    ]);
+  });
+
+  test('cancelled events are left out', () => {
+    const rows = expand(calendar(['UID:a', 'STATUS:CANCELLED', 'DTSTART:20261020T150000Z']),
+      '2026-10-19T00:00:00Z', '2026-10-23T00:00:00Z', 'UTC');
+    expect(rows).toEqual([]);
+  });
+});
@@ -0,0 +1,49 @@
+// Structural diff between two JSON documents. Changes are reported against
+// JSON Pointer paths (RFC 6901) so they line up with JSON Patch.
+
+function escapePointer(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+const jsonDiff = {
+  escapePointer,
+
+  diff(before, after, path = '') {
+    if (JSON.stringify(before) === JSON.stringify(after)) {
+      return [];
+    }
+
+    if (before === undefined) {
+      return [{ op: 'add', path, value: after }];
+    }
+    if (after === undefined) {
+      return [{ op: 'remove', path, oldValue: before }];
+    }
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+      const changes = [];
+      const length = Math.max(before.length, after.length);
+      for (let index = 0; index < length; index++) {
+        changes.push(...this.diff(before[index], after[index], `${path}/${index}`));
+      }
+      return changes;
+    }
+
+    if (isObject(before) && isObject(after)) {
+      const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+      const changes = [];
+      keys.forEach(key => {
+        changes.push(...this.diff(before[key], after[key], `${path}/${escapePointer(key)}`));
+      });
+      return changes;
+    }
+
+    return [{ op: 'replace', path, oldValue: before, value: after }];
+  }
+};
+
+module.exports = jsonDiff;
@@ -0,0 +1,186 @@
+// Applies JSON Patch (RFC 6902) and JSON Merge Patch (RFC 7396) documents.
+// Neither function mutates its input. Failures throw an Error whose
+// `statusCode` is 409 for a failed `test` operation and 422 when an
+// operation cannot be applied to the document.
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function isEqual(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+  }
+  return a === b;
+}
+
+function patchError(message, statusCode = 422) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function parsePointer(pointer) {
+  if (pointer === '') {
+    return [];
+  }
+  if (!pointer.startsWith('/')) {
+    throw patchError(`Invalid JSON Pointer "${pointer}"`, 400);
+  }
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function arrayIndex(array, token, pointer, allowEnd) {
+  if (allowEnd && token === '-') {
+    return array.length;
+  }
+  if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+    throw patchError(`Invalid array index at "${pointer}"`);
+  }
+  const index = Number(token);
+  if (index > array.length || (!allowEnd && index === array.length)) {
+    throw patchError(`Array index out of bounds at "${pointer}"`);
+  }
+  return index;
+}
+
+function has(container, token) {
+  return Object.prototype.hasOwnProperty.call(container, token);
+}
+
+// Container holding the last token of `pointer`, plus that token
+function locate(document, pointer) {
+  const tokens = parsePointer(pointer);
+  const key = tokens.pop();
+  let container = document;
+
+  tokens.forEach(token => {
+    if (Array.isArray(container)) {
+      container = container[arrayIndex(container, token, pointer, false)];
+    } else if (isObject(container) && has(container, token)) {
+      container = container[token];
+    } else {
+      throw patchError(`Path "${pointer}" does not exist`);
+    }
+  });
+
+  if (!Array.isArray(container) && !isObject(container)) {
+    throw patchError(`Path "${pointer}" does not exist`);
+  }
+  return { container, key };
+}
+
+function getValue(document, pointer) {
+  if (pointer === '') {
+    return document;
+  }
+  const { container, key } = locate(document, pointer);
+  if (Array.isArray(container)) {
+    return container[arrayIndex(container, key, pointer, false)];
+  }
+  if (!has(container, key)) {
+    throw patchError(`Path "${pointer}" does not exist`);
+  }
+  return container[key];
+}
+
+const operations = {
+  add(document, { path, value }) {
+    if (path === '') {
+      return clone(value);
+    }
+    const { container, key } = locate(document, path);
+    if (Array.isArray(container)) {
+      container.splice(arrayIndex(container, key, path, true), 0, clone(value));
+    } else {
+      container[key] = clone(value);
+    }
+    return document;
+  },
+
+  remove(document, { path }) {
+    if (path === '') {
+      throw patchError('Cannot remove the whole document');
+    }
+    const { container, key } = locate(document, path);
+    if (Array.isArray(container)) {
+      container.splice(arrayIndex(container, key, path, false), 1);
+    } else if (has(container, key)) {
+      delete container[key];
+    } else {
+      throw patchError(`Path "${path}" does not exist`);
+    }
+    return document;
+  },
+
+  replace(document, { path, value }) {
+    getValue(document, path);
+    if (path === '') {
+      return clone(value);
+    }
+    const { container, key } = locate(document, path);
+    container[Array.isArray(container) ? Number(key) : key] = clone(value);
+    return document;
+  },
+
+  move(document, { from, path }) {
+    if (path !== from && path.startsWith(`${from}/`)) {
+      throw patchError(`Cannot move "${from}" into one of its own children`);
+    }
+    const value = getValue(document, from);
+    return this.add(this.remove(document, { path: from }), { path, value });
+  },
+
+  copy(document, { from, path }) {
+    return this.add(document, { path, value: getValue(document, from) });
+  },
+
+  test(document, { path, value }) {
+    if (!isEqual(getValue(document, path), value)) {
+      throw patchError(`Test failed at "${path}"`, 409);
+    }
+    return document;
+  }
+};
+
+const jsonPatch = {
+  // Structural JSON equality, as the `test` operation uses it
+  isEqual,
+
+  apply(document, patch) {
+    return patch.reduce((current, operation, index) => {
+      const apply = operations[operation.op];
+      if (!apply) {
+        throw patchError(`Unknown operation "${operation.op}" at index ${index}`, 400);
+      }
+      return apply.call(operations, current, operation);
+    }, clone(document));
+  },
+
+  merge(target, patch) {
+    if (!isObject(patch)) {
+      return clone(patch);
+    }
+
+    const result = isObject(target) ? { ...target } : {};
+    Object.entries(patch).forEach(([key, value]) => {
+      if (value === null) {
+        delete result[key];
+      } else {
+        result[key] = this.merge(result[key], value);
+      }
+    });
+    return result;
+  }
+};
+
+module.exports = jsonPatch;
@@ -0,0 +1,87 @@
+const jsonPatch = require('./jsonPatch');
+
+// Status code of the error `fn` throws
+function statusOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error.statusCode;
+  }
+  return null;
+}
+
+describe('apply', () => {
+  const document = { name: 'Lobby', tags: ['a', 'b'], zones: { main: { cards: ['clock'] } } };
+
+  test('applies operations in order without touching the input', () => {
+    const result = jsonPatch.apply(document, [
+      { op: 'add', path: '/tags/-', value: 'c' },
+      { op: 'add', path: '/tags/0', value: 'first' },
+      { op: 'remove', path: '/tags/1' },
+      { op: 'replace', path: '/name', value: 'Hall' },
+      { op: 'copy', from: '/zones/main', path: '/zones/side' },
+      { op: 'move', from: '/tags', path: '/labels' },
+      { op: 'test', path: '/zones/side/cards', value: ['clock'] }
+    ]);
+    expect(result).toEqual({
+      name: 'Hall',
+      labels: ['first', 'b', 'c'],
+      zones: { main: { cards: ['clock'] }, side: { cards: ['clock'] } }
+    });
+    expect(result.zones.side).not.toBe(result.zones.main);
+    expect(document).toEqual({ name: 'Lobby', tags: ['a', 'b'], zones: { main: { cards: ['clock'] } } });
+  });
+
+  test('unescapes ~0 and ~1 in pointers', () => {
+    expect(jsonPatch.apply({ 'a/b': 1, 'c~d': 2 }, [
+      { op: 'replace', path: '/a~1b', value: 3 },
+      { op: 'remove', path: '/c~0d' }
+    ])).toEqual({ 'a/b': 3 });
+  });
+
+  test('an empty path replaces the whole document', () => {
+    expect(jsonPatch.apply(document, [{ op: 'replace', path: '', value: { name: 'New' } }])).toEqual({ name: 'New' });
+  });
+
+  test('a failed test answers 409', () => {
+    expect(statusOf(() => jsonPatch.apply(document, [{ op: 'test', path: '/name', value: 'Hall' }]))).toBe(409);
+  });
+
+  test.each([
+    ['an unknown operation', { op: 'rename', path: '/name' }, 400],
+    ['a pointer without a leading slash', { op: 'remove', path: 'name' }, 400],
+    ['a missing parent', { op: 'add', path: '/missing/name', value: 1 }, 422],
+    ['removing a missing member', { op: 'remove', path: '/missing' }, 422],
+    ['replacing a missing member', { op: 'replace', path: '/missing', value: 1 }, 422],
+    ['an index past the end', { op: 'add', path: '/tags/3', value: 'x' }, 422],
+    ['a non-numeric index', { op: 'remove', path: '/tags/01' }, 422],
+    ['removing the document', { op: 'remove', path: '' }, 422],
+    ['moving into a child', { op: 'move', from: '/zones', path: '/zones/main/inner' }, 422]
+  ])('rejects %s', (name, operation, statusCode) => {
+    expect(statusOf(() => jsonPatch.apply(document, [operation]))).toBe(statusCode);
+  });
+});
+
+describe('merge', () => {
+  test('merges objects recursively and deletes null members', () => {
+    const target = { name: 'Lobby', zones: { main: { width: 100, height: 50 } }, tags: ['a'] };
+    const result = jsonPatch.merge(target, { name: null, zones: { main: { width: 200 } }, tags: ['b'] });
+    expect(result).toEqual({ zones: { main: { width: 200, height: 50 } }, tags: ['b'] });
+    expect(target).toEqual({ name: 'Lobby', zones: { main: { width: 100, height: 50 } }, tags: ['a'] });
+  });
+
+  test('a non-object patch replaces the target', () => {
+    expect(jsonPatch.merge({ a: 1 }, ['x'])).toEqual(['x']);
+    expect(jsonPatch.merge('text', { a: 1 })).toEqual({ a: 1 });
+  });
+});
+
+describe('isEqual', () => {
+  test('compares structure, not key order or identity', () => {
+    expect(jsonPatch.isEqual({ a: 1, b: [1, { c: 2 }] }, { b: [1, { c: 2 }], a: 1 })).toBe(true);
+    expect(jsonPatch.isEqual({ a: 1 }, { a: 1, b: undefined })).toBe(false);
+    expect(jsonPatch.isEqual([1, 2], [2, 1])).toBe(false);
+    expect(jsonPatch.isEqual({}, [])).toBe(false);
+    expect(jsonPatch.isEqual(1, '1')).toBe(false);
+  });
+});
@@ -0,0 +1,58 @@
+// Flattens profiles that `extend` another profile. A child inherits its
+// base's grid and zones; each zone it lists is merged field by field over
+// the base zone (so overriding `cards` keeps the base zone's size), a zone
+// set to null is dropped, and its own top-level fields win.
+
+const MAX_DEPTH = 5;
+
+const profileInheritance = {
+  MAX_DEPTH,
+
+  merge(base, child) {
+    const { extends: baseId, ...fields } = child;
+    const zones = { ...base.zones };
+
+    Object.entries(child.zones || {}).forEach(([zoneId, zone]) => {
+      if (zone === null) {
+        delete zones[zoneId];
+      } else {
+        zones[zoneId] = { ...zones[zoneId], ...zone };
+      }
+    });
+
+    return { ...base, ...fields, zones };
+  },
+
+  // Walks the `extends` chain with `loadProfile(id)` and returns the merged
+  // profile. Throws when a base is missing, the chain loops or runs deeper
+  // than MAX_DEPTH.
+  async resolve(profile, loadProfile) {
+    const chain = [profile];
+    let current = profile;
+
+    while (current.extends) {
+      if (chain.some(layer => layer.id === current.extends)) {
+        throw new Error(`Profile "${profile.id}" has an inheritance cycle through "${current.extends}"`);
+      }
+      if (chain.length > MAX_DEPTH) {
+        throw new Error(`Profile "${profile.id}" extends more than ${MAX_DEPTH} levels deep`);
+      }
+
+      const base = await loadProfile(current.extends);
+      if (!base) {
+        throw new Error(`Base profile "${current.extends}" not found`);
+      }
+      chain.push(base);
+      current = base;
+    }
+
+    return chain.reverse().reduce((resolved, layer) => this.merge(resolved, layer));
+  },
+
+  // Ids of the stored profiles that extend `profileId` directly
+  children(profileId, profiles) {
+    return profiles.filter(profile => profile.extends === profileId).map(profile => profile.id);
+  }
+};
+
+module.exports = profileInheritance;
@@ -0,0 +1,87 @@
+const profileInheritance = require('./profileInheritance');
+
+const base = {
+  id: 'base',
+  name: 'Base',
+  grid: { gap: 8 },
+  zones: {
+    header: { width: 0, height: 80, cards: ['clock'] },
+    main: { width: 600, height: 0, cards: ['news'] }
+  }
+};
+
+// Loads profiles from a fixed set, like storage would
+const loader = (...profiles) => async id => profiles.find(profile => profile.id === id) || null;
+
+describe('merge', () => {
+  test('merges zones field by field and drops zones set to null', () => {
+    const merged = profileInheritance.merge(base, {
+      id: 'child',
+      name: 'Child',
+      extends: 'base',
+      zones: { header: null, main: { cards: ['weather'] }, side: { width: 200, height: 0, cards: [] } }
+    });
+    expect(merged).toEqual({
+      id: 'child',
+      name: 'Child',
+      grid: { gap: 8 },
+      zones: {
+        main: { width: 600, height: 0, cards: ['weather'] },
+        side: { width: 200, height: 0, cards: [] }
+      }
+    });
+    expect(base.zones.main.cards).toEqual(['news']);
+  });
+
+  test('a child without zones keeps the base zones', () => {
+    expect(profileInheritance.merge(base, { id: 'child', name: 'Child', extends: 'base' }).zones).toEqual(base.zones);
+  });
+});
+
+describe('resolve', () => {
+  test('applies every layer of the chain, nearest last', async () => {
+    const middle = { id: 'middle', name: 'Middle', extends: 'base', zones: { main: { height: 400 } } };
+    const child = { id: 'child', name: 'Child', extends: 'middle', zones: { main: { cards: [] } } };
+    const resolved = await profileInheritance.resolve(child, loader(base, middle));
+    expect(resolved).toMatchObject({ id: 'child', name: 'Child', zones: { main: { width: 600, height: 400, cards: [] } } });
+    expect(resolved).not.toHaveProperty('extends');
+  });
+
+  test('profiles without a base come back as they are', async () => {
+    expect(await profileInheritance.resolve(base, loader())).toEqual(base);
+  });
+
+  test('rejects a missing base', async () => {
+    await expect(profileInheritance.resolve({ id: 'child', extends: 'gone' }, loader(base)))
+      .rejects.toThrow('Base profile "gone" not found');
+  });
+
+  test('rejects cycles', async () => {
+    const a = { id: 'a', extends: 'b' };
+    const b = { id: 'b', extends: 'a' };
+    await expect(profileInheritance.resolve(a, loader(a, b))).rejects.toThrow('Profile "a" has an inheritance cycle through "a"');
+    await expect(profileInheritance.resolve({ id: 'self', extends: 'self' }, loader())).rejects.toThrow('inheritance cycle');
+  });
+
+  test('allows MAX_DEPTH levels and rejects more', async () => {
+    const chain = depth => Array.from({ length: depth + 1 }, (_, level) => ({
+      id: `p${level}`,
+      name: `Level ${level}`,
+      ...(level < depth ? { extends: `p${level + 1}` } : { zones: {} })
+    }));
+
+    const deepest = chain(profileInheritance.MAX_DEPTH);
+    await expect(profileInheritance.resolve(deepest[0], loader(...deepest))).resolves.toMatchObject({ name: 'Level 0' });
+
+    const tooDeep = chain(profileInheritance.MAX_DEPTH + 1);
+    await expect(profileInheritance.resolve(tooDeep[0], loader(...tooDeep)))
+      .rejects.toThrow(`extends more than ${profileInheritance.MAX_DEPTH} levels deep`);
+  });
+});
+
+describe('children', () => {
+  test('lists direct children only', () => {
+    const profiles = [base, { id: 'a', extends: 'base' }, { id: 'b', extends: 'a' }, { id: 'c', extends: 'base' }];
+    expect(profileInheritance.children('base', profiles)).toEqual(['a', 'c']);
+  });
+});
@@ -0,0 +1,164 @@
+// Works out which profile a schedule wants active on a screen at a given
+// moment. Rules are evaluated in their own time zone and apply to every
+// screen unless they list `screens`; among matching rules the highest
+// priority wins, ties going to the rule listed first. An unexpired manual
+// override for the screen beats every rule.
+
+const Joi = require('joi');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DEFAULT_TIMEZONE = process.env.TZ || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimezone(timeZone) {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function shiftDate(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+}
+
+const profileSchedule = {
+  DAYS,
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+
+  // Moves a YYYY-MM-DD date by whole days
+  shiftDate,
+
+  // Config field naming an IANA time zone, for every schema that takes one
+  timezoneSchema: Joi.string().custom((timezone, helpers) => (
+    isValidTimezone(timezone) ? timezone : helpers.message('"timezone" must be a valid IANA time zone')
+  )),
+
+  // Wall-clock view of `at` in a time zone: { day, date, time }
+  localTime(at, timeZone) {
+    const parts = {};
+    formatterFor(timeZone).formatToParts(at).forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+    return {
+      day: parts.weekday.toLowerCase().slice(0, 3),
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      time: `${parts.hour}:${parts.minute}`
+    };
+  },
+
+  // Inverse of localTime: the instant a wall-clock date (YYYY-MM-DD) and
+  // time (HH:MM[:SS]) denote in a time zone. Offsets are whole minutes, so
+  // seconds carry over unchanged.
+  toInstant(date, time, timeZone) {
+    const [hours, minutes, seconds = 0] = time.split(':').map(Number);
+    const wall = Date.parse(`${date}T00:00:00Z`) + ((hours * 60 + minutes) * 60 + seconds) * 1000;
+
+    const wallAt = instant => {
+      const local = this.localTime(new Date(instant), timeZone);
+      return Date.parse(`${local.date}T${local.time}:00Z`) + (((instant % 60000) + 60000) % 60000);
+    };
+
+    // The offsets a day either side cover any DST change. A time repeated
+    // by fall-back takes its earlier instance; one skipped by spring-forward
+    // is read with the offset from before the gap (02:30 becomes 03:30).
+    const day = 24 * 60 * 60 * 1000;
+    const candidates = [wall - day, wall + day].map(probe => wall - (wallAt(probe) - probe));
+    const valid = candidates.filter(instant => wallAt(instant) === wall);
+    return new Date(valid.length ? Math.min(...valid) : candidates[0]);
+  },
+
+  // A window whose endTime is not after its startTime runs past midnight and
+  // belongs to the day (and date) it started on
+  matches(rule, at) {
+    if (rule.enabled === false) {
+      return false;
+    }
+
+    const local = this.localTime(at, rule.timezone || DEFAULT_TIMEZONE);
+    const start = rule.startTime || '00:00';
+    const end = rule.endTime || '24:00';
+
+    let windowDay = local.day;
+    let windowDate = local.date;
+
+    if (start < end) {
+      if (local.time < start || local.time >= end) {
+        return false;
+      }
+    } else if (local.time < end) {
+      windowDay = DAYS[(DAYS.indexOf(local.day) + 6) % 7];
+      windowDate = shiftDate(local.date, -1);
+    } else if (local.time < start) {
+      return false;
+    }
+
+    if (rule.days && rule.days.length > 0 && !rule.days.includes(windowDay)) {
+      return false;
+    }
+    if (rule.startDate && windowDate < rule.startDate) {
+      return false;
+    }
+    if (rule.endDate && windowDate > rule.endDate) {
+      return false;
+    }
+
+    return true;
+  },
+
+  // Schedules saved before screens existed hold a single `override`, which
+  // applied to what is now the default screen. Returns the schedule in the
+  // current { rules, overrides } shape.
+  upgrade(schedule, defaultScreenId) {
+    const { override, ...rest } = schedule || {};
+    const overrides = { ...rest.overrides };
+    if (override && !overrides[defaultScreenId]) {
+      overrides[defaultScreenId] = override;
+    }
+    return { ...rest, rules: rest.rules || [], overrides };
+  },
+
+  // Returns { profileId, reason, rule?, expiresAt? }, or null when nothing in
+  // the schedule applies and the caller should fall back to its default
+  resolve(schedule, at = new Date(), screenId) {
+    const { rules = [], overrides = {} } = schedule || {};
+    const override = overrides[screenId];
+
+    if (override && new Date(override.expiresAt) > at) {
+      return { profileId: override.profileId, reason: 'override', expiresAt: override.expiresAt };
+    }
+
+    const rule = rules
+      .filter(candidate => !candidate.screens || candidate.screens.includes(screenId))
+      .filter(candidate => this.matches(candidate, at))
+      .reduce((best, candidate) => (
+        !best || (candidate.priority || 0) > (best.priority || 0) ? candidate : best
+      ), null);
+
+    return rule ? { profileId: rule.profileId, reason: 'rule', rule } : null;
+  }
+};
+
+module.exports = profileSchedule;
@@ -0,0 +1,144 @@
+const profileSchedule = require('./profileSchedule');
+
+const chicago = 'America/Chicago';
+// Monday, Oct 19 2026 at the given Chicago wall-clock time (CDT, UTC-5)
+const monday = time => new Date(`2026-10-19T${time}:00-05:00`);
+
+describe('localTime', () => {
+  test('gives the weekday, date and time in the zone', () => {
+    expect(profileSchedule.localTime(new Date('2026-10-20T03:30:00Z'), chicago)).toEqual({
+      day: 'mon', date: '2026-10-19', time: '22:30'
+    });
+    expect(profileSchedule.localTime(new Date('2026-10-19T00:05:00Z'), 'UTC')).toEqual({
+      day: 'mon', date: '2026-10-19', time: '00:05'
+    });
+  });
+});
+
+describe('toInstant', () => {
+  test('reads a wall-clock time in the zone, keeping seconds', () => {
+    expect(profileSchedule.toInstant('2026-10-19', '14:15:30', chicago).toISOString()).toBe('2026-10-19T19:15:30.000Z');
+    expect(profileSchedule.toInstant('2026-01-19', '14:15', chicago).toISOString()).toBe('2026-01-19T20:15:00.000Z');
+  });
+
+  test('times skipped by spring-forward move past the gap', () => {
+    expect(profileSchedule.toInstant('2026-03-08', '02:30', chicago).toISOString()).toBe('2026-03-08T08:30:00.000Z');
+    expect(profileSchedule.toInstant('2026-03-08', '03:00', chicago).toISOString()).toBe('2026-03-08T08:00:00.000Z');
+    expect(profileSchedule.toInstant('2026-03-29', '01:30', 'Europe/London').toISOString()).toBe('2026-03-29T01:30:00.000Z');
+  });
+
+  test('times repeated by fall-back take the earlier instance', () => {
+    expect(profileSchedule.toInstant('2026-11-01', '01:30', chicago).toISOString()).toBe('2026-11-01T06:30:00.000Z');
+    expect(profileSchedule.toInstant('2026-10-25', '01:30', 'Europe/London').toISOString()).toBe('2026-10-25T00:30:00.000Z');
+  });
+});
+
+describe('shiftDate', () => {
+  test('moves across month and year ends', () => {
+    expect(profileSchedule.shiftDate('2026-10-31', 1)).toBe('2026-11-01');
+    expect(profileSchedule.shiftDate('2027-01-01', -1)).toBe('2026-12-31');
+    expect(profileSchedule.shiftDate('2028-02-28', 1)).toBe('2028-02-29');
+  });
+});
+
+describe('isValidTimezone', () => {
+  test('accepts IANA names only', () => {
+    expect(profileSchedule.isValidTimezone(chicago)).toBe(true);
+    expect(profileSchedule.isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+  });
+
+  test('timezoneSchema reports invalid zones by name', () => {
+    expect(profileSchedule.timezoneSchema.validate(chicago)).toEqual({ value: chicago });
+    expect(profileSchedule.timezoneSchema.validate('Mars/Olympus_Mons').error.details[0].message)
+      .toBe('"timezone" must be a valid IANA time zone');
+  });
+});
+
+describe('matches', () => {
+  const rule = extra => ({ timezone: chicago, ...extra });
+
+  test('matches inside a same-day window on listed days', () => {
+    const workday = rule({ days: ['mon', 'tue'], startTime: '09:00', endTime: '17:00' });
+    expect(profileSchedule.matches(workday, monday('09:00'))).toBe(true);
+    expect(profileSchedule.matches(workday, monday('16:59'))).toBe(true);
+    expect(profileSchedule.matches(workday, monday('17:00'))).toBe(false);
+    expect(profileSchedule.matches(workday, monday('08:59'))).toBe(false);
+    expect(profileSchedule.matches({ ...workday, days: ['sat'] }, monday('12:00'))).toBe(false);
+  });
+
+  test('reads the window in the rule\'s own time zone', () => {
+    const morning = rule({ startTime: '09:00', endTime: '10:00', timezone: 'Europe/London' });
+    expect(profileSchedule.matches(morning, new Date('2026-10-19T08:30:00Z'))).toBe(true);
+    expect(profileSchedule.matches(morning, monday('09:30'))).toBe(false);
+  });
+
+  test('windows past midnight belong to the day they started on', () => {
+    const late = rule({ days: ['sun'], startTime: '22:00', endTime: '02:00' });
+    expect(profileSchedule.matches(late, monday('01:30'))).toBe(true);
+    expect(profileSchedule.matches(late, monday('02:00'))).toBe(false);
+    expect(profileSchedule.matches(late, monday('23:00'))).toBe(false);
+    expect(profileSchedule.matches({ ...late, days: ['mon'] }, monday('23:00'))).toBe(true);
+  });
+
+  test('an endTime of 24:00 runs to midnight', () => {
+    expect(profileSchedule.matches(rule({ startTime: '18:00', endTime: '24:00' }), monday('23:59'))).toBe(true);
+  });
+
+  test('date ranges are inclusive and use the window\'s date', () => {
+    expect(profileSchedule.matches(rule({ startDate: '2026-10-19', endDate: '2026-10-19' }), monday('12:00'))).toBe(true);
+    expect(profileSchedule.matches(rule({ endDate: '2026-10-18' }), monday('12:00'))).toBe(false);
+    const overnight = rule({ startTime: '22:00', endTime: '02:00', endDate: '2026-10-18' });
+    expect(profileSchedule.matches(overnight, monday('01:00'))).toBe(true);
+  });
+
+  test('disabled rules never match', () => {
+    expect(profileSchedule.matches(rule({ enabled: false }), monday('12:00'))).toBe(false);
+  });
+});
+
+describe('resolve', () => {
+  const schedule = {
+    rules: [
+      { id: 'all-day', profileId: 'base', timezone: chicago },
+      { id: 'lobby', profileId: 'lobby', timezone: chicago, screens: ['lobby'], priority: 5 },
+      { id: 'tie', profileId: 'tie', timezone: chicago }
+    ],
+    overrides: {
+      lobby: { profileId: 'manual', expiresAt: '2026-10-19T18:00:00.000Z' }
+    }
+  };
+
+  test('an unexpired override for the screen beats every rule', () => {
+    expect(profileSchedule.resolve(schedule, monday('12:00'), 'lobby')).toEqual({
+      profileId: 'manual', reason: 'override', expiresAt: '2026-10-19T18:00:00.000Z'
+    });
+  });
+
+  test('otherwise the highest-priority rule for the screen wins, ties going to the first', () => {
+    expect(profileSchedule.resolve(schedule, monday('14:00'), 'lobby')).toMatchObject({ profileId: 'lobby', reason: 'rule' });
+    expect(profileSchedule.resolve(schedule, monday('14:00'), 'default')).toMatchObject({ profileId: 'base', rule: { id: 'all-day' } });
+  });
+
+  test('returns null when nothing applies', () => {
+    expect(profileSchedule.resolve({ rules: [], overrides: {} }, monday('12:00'), 'default')).toBeNull();
+    expect(profileSchedule.resolve(null, monday('12:00'), 'default')).toBeNull();
+  });
+});
+
+describe('upgrade', () => {
+  const override = { profileId: 'manual', expiresAt: '2026-10-19T18:00:00.000Z' };
+
+  test('moves a single override to the default screen', () => {
+    expect(profileSchedule.upgrade({ rules: [{ id: 'r' }], override }, 'default')).toEqual({
+      rules: [{ id: 'r' }],
+      overrides: { default: override }
+    });
+    expect(profileSchedule.upgrade({ rules: [], override: null }, 'default')).toEqual({ rules: [], overrides: {} });
+  });
+
+  test('keeps per-screen overrides as they are', () => {
+    const current = { rules: [], overrides: { default: { profileId: 'newer' } } };
+    expect(profileSchedule.upgrade({ ...current, override }, 'default')).toEqual(current);
+    expect(profileSchedule.upgrade(null, 'default')).toEqual({ rules: [], overrides: {} });
+  });
+});
@@ -0,0 +1,195 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Card data providers live in ./providers, one module per provider:
+//
+//   module.exports = {
+//     name: 'transit',                // referenced by card.config.provider
+//     cardTypes: ['transit'],         // card types that use it by default
+//     configSchema: Joi.object(...),  // validates card.config.providerOptions
+//     sourceKey(options) {},          // optional, upstream data the options need
+//     async fetch(options, { maxAge }) {},  // resolves to { data, meta }
+//     transform(data, options, meta) {},    // fields merged into card.config
+//     actions: {                      // optional, what displays can do
+//       complete: {
+//         schema: Joi.object(...),    // validates the request body
+//         async run(body, options) {} // performs it upstream
+//       }
+//     }
+//   };
+//
+// meta describes freshness ({ source, fetchedAt, lastError }, see
+// CTAAPIService.fetchWithCache) and is exposed on the card as dataStatus.
+//
+// Cards whose options map to the same provider and sourceKey share a single
+// fetch, so fetch must only depend on what sourceKey captures. maxAge is the
+// shortest config.refreshInterval among those cards.
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.typeDefaults = new Map();
+  }
+
+  register(provider) {
+    if (!provider || !provider.name) {
+      throw new Error('Provider must have a name');
+    }
+    if (typeof provider.fetch !== 'function' || typeof provider.transform !== 'function') {
+      throw new Error(`Provider ${provider.name} must implement fetch and transform`);
+    }
+
+    this.providers.set(provider.name, provider);
+    (provider.cardTypes || []).forEach(type => this.typeDefaults.set(type, provider.name));
+    console.log(`[Providers] Registered ${provider.name}`);
+  }
+
+  async loadDirectory(dir) {
+    const files = await fs.readdir(dir);
+    files
+      .filter(file => file.endsWith('.js'))
+      .sort()
+      .forEach(file => {
+        try {
+          this.register(require(path.join(dir, file)));
+        } catch (error) {
+          console.error(`[Providers] Failed to load ${file}:`, error.message);
+        }
+      });
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  // Card types that have a default provider
+  cardTypes() {
+    return [...this.typeDefaults.keys()];
+  }
+
+  providerForType(type) {
+    return this.get(this.typeDefaults.get(type));
+  }
+
+  // A card picks its provider explicitly, otherwise its type's default
+  resolve(card) {
+    const config = card.config || {};
+    const name = config.provider || this.typeDefaults.get(card.type);
+    return name ? this.get(name) : null;
+  }
+
+  // The named action of a card's provider as { provider, action }, or null
+  action(card, name) {
+    const provider = this.resolve(card);
+    const actions = (provider && provider.actions) || {};
+    return Object.prototype.hasOwnProperty.call(actions, name) ? { provider, action: actions[name] } : null;
+  }
+
+  actionNames(card) {
+    const provider = this.resolve(card);
+    return Object.keys((provider && provider.actions) || {});
+  }
+
+  // Returns an error message for an unknown provider or bad options
+  validateCard(card) {
+    const config = card.config || {};
+    if (config.provider && !this.get(config.provider)) {
+      return `Unknown provider: ${config.provider}`;
+    }
+
+    const provider = this.resolve(card);
+    if (provider && provider.configSchema) {
+      const { error } = provider.configSchema.validate(config.providerOptions || {});
+      if (error) {
+        return `providerOptions: ${error.details[0].message}`;
+      }
+    }
+    return null;
+  }
+
+  options(card, provider) {
+    const options = (card.config && card.config.providerOptions) || {};
+    if (!provider.configSchema) {
+      return options;
+    }
+
+    const { error, value } = provider.configSchema.validate(options);
+    if (error) {
+      console.error(`[Providers] Invalid options for card ${card.id}:`, error.details[0].message);
+      return null;
+    }
+    return value;
+  }
+
+  // Populates a batch of cards, fetching each distinct source only once
+  async populateCards(cards) {
+    const sources = new Map();
+
+    const plans = cards.map(card => {
+      const provider = this.resolve(card);
+      if (!provider) {
+        return null;
+      }
+
+      const options = this.options(card, provider);
+      if (!options) {
+        return null;
+      }
+
+      const key = `${provider.name}:${provider.sourceKey ? provider.sourceKey(options) : ''}`;
+      if (!sources.has(key)) {
+        sources.set(key, { provider, options, maxAge: undefined });
+      }
+
+      const refreshInterval = card.config && card.config.refreshInterval;
+      const source = sources.get(key);
+      if (refreshInterval && (source.maxAge === undefined || refreshInterval < source.maxAge)) {
+        source.maxAge = refreshInterval;
+      }
+
+      return { provider, options, key };
+    });
+
+    const results = new Map();
+    await Promise.all([...sources.entries()].map(async ([key, { provider, options, maxAge }]) => {
+      try {
+        const { data, meta = {} } = await provider.fetch(options, { maxAge });
+        results.set(key, { data, meta });
+      } catch (error) {
+        console.error(`[Providers] ${provider.name} fetch failed:`, error.message);
+        results.set(key, { data: null, meta: { source: 'none', fetchedAt: null, lastError: error.message } });
+      }
+    }));
+
+    return cards.map((card, index) => {
+      const plan = plans[index];
+      if (!plan) {
+        return card;
+      }
+
+      const { data, meta } = results.get(plan.key);
+      const dataStatus = {
+        provider: plan.provider.name,
+        source: meta.source || null,
+        stale: meta.source === 'stale' || meta.source === 'none',
+        fetchedAt: meta.fetchedAt || null,
+        lastError: meta.lastError || null
+      };
+
+      try {
+        return {
+          ...card,
+          config: {
+            ...card.config,
+            ...plan.provider.transform(data, plan.options, meta)
+          },
+          dataStatus
+        };
+      } catch (error) {
+        console.error(`[Providers] ${plan.provider.name} transform failed for card ${card.id}:`, error.message);
+        return { ...card, dataStatus: { ...dataStatus, stale: true, lastError: error.message } };
+      }
+    });
+  }
+}
+
+module.exports = new ProviderRegistry();
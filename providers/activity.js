@@ -0,0 +1,70 @@
+const Joi = require('joi');
+const auditLog = require('../auditLog');
+
+const ICONS = {
+  create: '➕',
+  update: '✏️',
+  delete: '🗑️',
+  restore: '♻️',
+  import: '📥'
+};
+
+const LABELS = {
+  profile: 'profile',
+  card: 'card',
+  template: 'template',
+  activeProfile: 'active profile of screen'
+};
+
+const VERBS = {
+  create: 'created',
+  update: 'updated',
+  delete: 'deleted',
+  restore: 'restored',
+  import: 'imported'
+};
+
+function describe(entry) {
+  const verb = VERBS[entry.action] || entry.action;
+  const changes = entry.action === 'update' ? ` (${entry.changes.length} change${entry.changes.length === 1 ? '' : 's'})` : '';
+  return `${entry.actor} ${verb} ${LABELS[entry.kind] || entry.kind} ${entry.entityId}${changes}`;
+}
+
+module.exports = {
+  name: 'activity',
+  cardTypes: ['activity'],
+  configSchema: Joi.object({
+    limit: Joi.number().integer().min(1).max(50).default(8),
+    kinds: Joi.array().items(Joi.string().valid(...auditLog.KINDS)).min(1).optional(),
+    // How far back the card looks; only these days' audit documents are read
+    days: Joi.number().integer().min(1).max(90).default(7)
+  }),
+
+  sourceKey(options) {
+    return `${options.limit}:${options.days}:${(options.kinds || []).join(',')}`;
+  },
+
+  async fetch(options) {
+    const since = new Date(Date.now() - options.days * 24 * 60 * 60 * 1000);
+    const items = await auditLog.entries({ kind: options.kinds, since }, options.limit);
+    // Stamped with the newest entry so an unchanged feed yields an identical
+    // card and doesn't wake up profile streams
+    return {
+      data: items,
+      meta: { source: 'fresh', fetchedAt: items.length > 0 ? items[0].timestamp : null, lastError: null }
+    };
+  },
+
+  transform(entries, options, meta) {
+    return {
+      subtitle: entries.length > 0 ? `Last ${entries.length} changes` : 'No changes recorded yet',
+      items: entries.map(entry => ({
+        text: describe(entry),
+        icon: ICONS[entry.action] || '•',
+        timestamp: entry.timestamp,
+        actor: entry.actor
+      })),
+      lastUpdated: meta.fetchedAt
+    };
+  }
+};
@@ -0,0 +1,91 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Joi = require('joi');
+const ctaapiService = require('../ctaapiService');
+const calendarEvents = require('../calendarEvents');
+const icalendar = require('../icalendar');
+const profileSchedule = require('../profileSchedule');
+
+// .ics files are read from CALENDAR_DIR (default DATA_DIR/calendars) and
+// named by file name only, so card configs can't reach elsewhere on disk
+const CALENDAR_DIR = process.env.CALENDAR_DIR ||
+  path.join(process.env.DATA_DIR || path.join(__dirname, '..', 'data'), 'calendars');
+
+// Parsed calendars by file, reparsed when the file's mtime changes
+const calendars = new Map();
+
+async function readCalendar(file) {
+  const filePath = path.join(CALENDAR_DIR, file);
+  const cached = calendars.get(filePath);
+
+  try {
+    const { mtimeMs } = await fs.stat(filePath);
+    if (!cached || cached.mtimeMs !== mtimeMs) {
+      const events = icalendar.parse(await fs.readFile(filePath, 'utf8'));
+      calendars.set(filePath, { mtimeMs, events });
+    }
+    const entry = calendars.get(filePath);
+    return {
+      data: entry.events,
+      meta: { source: 'fresh', fetchedAt: new Date(entry.mtimeMs).toISOString(), lastError: null }
+    };
+  } catch (error) {
+    // Keep showing the last good copy if the file goes missing or unreadable
+    if (cached) {
+      return {
+        data: cached.events,
+        meta: { source: 'stale', fetchedAt: new Date(cached.mtimeMs).toISOString(), lastError: error.message }
+      };
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  name: 'events',
+  cardTypes: ['events'],
+  configSchema: Joi.object({
+    source: Joi.string().valid('ctaapi', 'ics').default('ctaapi'),
+    icsFile: Joi.string().pattern(/^[\w-][\w .-]*\.ics$/i, 'calendar file name').when('source', {
+      is: 'ics',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    // 0 shows the rest of today only
+    lookaheadDays: Joi.number().integer().min(0).max(90).default(7),
+    maxItems: Joi.number().integer().min(1).max(50).default(5),
+    groupByDay: Joi.boolean().default(false),
+    highlight: Joi.boolean().default(true),
+    timezone: profileSchedule.timezoneSchema.optional()
+  }),
+
+  sourceKey(options) {
+    return options.source === 'ics' ? `ics:${options.icsFile}` : 'ctaapi';
+  },
+
+  async fetch(options, { maxAge }) {
+    if (options.source === 'ics') {
+      return readCalendar(options.icsFile);
+    }
+    return ctaapiService.getEventsData(maxAge);
+  },
+
+  transform(data, options, meta) {
+    const now = new Date();
+    let rows = data;
+    if (options.source === 'ics' && data) {
+      const timeZone = options.timezone || profileSchedule.DEFAULT_TIMEZONE;
+      rows = icalendar.expand(data, { from: now, until: calendarEvents.windowEnd(options.lookaheadDays, timeZone, now), timeZone });
+    }
+
+    const { title, subtitle, items, groups, lastUpdated } = ctaapiService.transformEventsData(rows, meta.fetchedAt, options, now);
+    return {
+      title,
+      subtitle,
+      items,
+      ...(groups ? { groups } : {}),
+      lastUpdated,
+      backgroundColor: '#d1ecf1'
+    };
+  }
+};
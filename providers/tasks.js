@@ -0,0 +1,53 @@
+const Joi = require('joi');
+const ctaapiService = require('../ctaapiService');
+const habiticaTasks = require('../habiticaTasks');
+
+const taskAction = Joi.object({
+  taskId: Joi.string().required()
+});
+
+module.exports = {
+  name: 'tasks',
+  cardTypes: ['tasks'],
+  configSchema: Joi.object({
+    types: Joi.array().items(Joi.string().valid(...habiticaTasks.TYPES)).min(1).unique().optional(),
+    includeCompleted: Joi.boolean().default(true),
+    sortBy: Joi.string().valid(...habiticaTasks.SORTS).default('none'),
+    maxItems: Joi.number().integer().min(1).max(50).default(5)
+  }),
+
+  // Todos and dailies are completed by scoring them up and reopened by
+  // scoring them down; habits take either direction
+  actions: {
+    complete: {
+      schema: taskAction,
+      run: ({ taskId }) => ctaapiService.scoreTask(taskId, 'up')
+    },
+    uncomplete: {
+      schema: taskAction,
+      run: ({ taskId }) => ctaapiService.scoreTask(taskId, 'down')
+    },
+    score: {
+      schema: taskAction.keys({
+        direction: Joi.string().valid('up', 'down').default('up')
+      }),
+      run: ({ taskId, direction }) => ctaapiService.scoreTask(taskId, direction)
+    }
+  },
+
+  async fetch(options, { maxAge }) {
+    return ctaapiService.getTasksData(maxAge);
+  },
+
+  transform(data, options, meta) {
+    const { title, subtitle, items, totals, lastUpdated } = ctaapiService.transformTasksData(data, meta.fetchedAt, options);
+    return {
+      title,
+      subtitle,
+      items,
+      totals,
+      lastUpdated,
+      backgroundColor: '#d4edda'
+    };
+  }
+};
@@ -0,0 +1,37 @@
+const Joi = require('joi');
+const ctaapiService = require('../ctaapiService');
+const profileSchedule = require('../profileSchedule');
+
+// Every transit card shares one upstream fetch; stops, routes and
+// directions only filter what it returned, so they stay out of sourceKey
+const filter = Joi.array().items(Joi.alternatives().try(Joi.string(), Joi.number()).custom(value => String(value))).min(1);
+
+module.exports = {
+  name: 'transit',
+  cardTypes: ['transit'],
+  configSchema: Joi.object({
+    stops: filter.optional(),
+    routes: filter.optional(),
+    directions: filter.optional(),
+    maxRows: Joi.number().integer().min(1).max(20).default(5),
+    groupBy: Joi.string().valid('none', 'route').default('none'),
+    arrivalsPerRoute: Joi.number().integer().min(1).max(10).default(3),
+    // For upstream times that carry no offset
+    timezone: profileSchedule.timezoneSchema.optional()
+  }),
+
+  async fetch(options, { maxAge }) {
+    return ctaapiService.getTransitData(maxAge);
+  },
+
+  transform(data, options, meta) {
+    const { title, subtitle, items, lastUpdated } = ctaapiService.transformTransitData(data, meta.fetchedAt, options);
+    return {
+      title,
+      subtitle,
+      items,
+      lastUpdated,
+      backgroundColor: '#fff3cd'
+    };
+  }
+};
@@ -0,0 +1,169 @@
+const font = require('./font');
+
+// RGB raster with the handful of primitives the snapshot renderer needs.
+// Every primitive respects the current clip rectangle and blends colours
+// that carry alpha.
+
+const NAMED_COLORS = {
+  black: '#000000', white: '#ffffff', red: '#dc3545', green: '#28a745', blue: '#007bff',
+  yellow: '#ffc107', orange: '#fd7e14', purple: '#6f42c1', pink: '#e83e8c', teal: '#20c997',
+  cyan: '#17a2b8', gray: '#6c757d', grey: '#6c757d', silver: '#c0c0c0', navy: '#000080',
+  maroon: '#800000', olive: '#808000', lime: '#00ff00', aqua: '#00ffff', fuchsia: '#ff00ff',
+  transparent: 'rgba(0,0,0,0)'
+};
+
+// CSS colour -> [r, g, b, a] for hex, rgb()/rgba() and common names, or
+// `fallback` when the value isn't understood
+function parseColor(value, fallback = [0, 0, 0, 1]) {
+  if (typeof value !== 'string') {
+    return fallback;
+  }
+
+  const color = NAMED_COLORS[value.trim().toLowerCase()] || value.trim();
+  let match = color.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+  if (match) {
+    let hex = match[1];
+    if (hex.length <= 4) {
+      hex = hex.split('').map(digit => digit + digit).join('');
+    }
+    const bytes = hex.match(/../g).map(byte => parseInt(byte, 16));
+    return [bytes[0], bytes[1], bytes[2], bytes.length === 4 ? bytes[3] / 255 : 1];
+  }
+
+  match = color.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/i);
+  if (match) {
+    return [
+      Math.min(255, Number(match[1])),
+      Math.min(255, Number(match[2])),
+      Math.min(255, Number(match[3])),
+      match[4] === undefined ? 1 : Math.min(1, Number(match[4]))
+    ];
+  }
+
+  return fallback;
+}
+
+// Blends `color` over `base` by `amount` (0..1), ignoring alpha
+function mix(base, color, amount) {
+  return [0, 1, 2].map(index => Math.round(base[index] + (color[index] - base[index]) * amount)).concat(1);
+}
+
+class Canvas {
+  constructor(width, height, background = [255, 255, 255, 1]) {
+    this.width = width;
+    this.height = height;
+    this.pixels = Buffer.alloc(width * height * 3);
+    this.resetClip();
+    this.fillRect(0, 0, width, height, background);
+  }
+
+  setClip(x, y, width, height) {
+    this.clip = {
+      left: Math.max(0, Math.floor(x)),
+      top: Math.max(0, Math.floor(y)),
+      right: Math.min(this.width, Math.floor(x + width)),
+      bottom: Math.min(this.height, Math.floor(y + height))
+    };
+  }
+
+  resetClip() {
+    this.clip = { left: 0, top: 0, right: this.width, bottom: this.height };
+  }
+
+  setPixel(x, y, [r, g, b, a = 1]) {
+    if (x < this.clip.left || x >= this.clip.right || y < this.clip.top || y >= this.clip.bottom || a <= 0) {
+      return;
+    }
+    const offset = (y * this.width + x) * 3;
+    if (a >= 1) {
+      this.pixels[offset] = r;
+      this.pixels[offset + 1] = g;
+      this.pixels[offset + 2] = b;
+    } else {
+      this.pixels[offset] = Math.round(this.pixels[offset] * (1 - a) + r * a);
+      this.pixels[offset + 1] = Math.round(this.pixels[offset + 1] * (1 - a) + g * a);
+      this.pixels[offset + 2] = Math.round(this.pixels[offset + 2] * (1 - a) + b * a);
+    }
+  }
+
+  fillRect(x, y, width, height, color) {
+    const left = Math.max(this.clip.left, Math.round(x));
+    const top = Math.max(this.clip.top, Math.round(y));
+    const right = Math.min(this.clip.right, Math.round(x + width));
+    const bottom = Math.min(this.clip.bottom, Math.round(y + height));
+    for (let row = top; row < bottom; row++) {
+      for (let column = left; column < right; column++) {
+        this.setPixel(column, row, color);
+      }
+    }
+  }
+
+  strokeRect(x, y, width, height, color, thickness = 1) {
+    this.fillRect(x, y, width, thickness, color);
+    this.fillRect(x, y + height - thickness, width, thickness, color);
+    this.fillRect(x, y, thickness, height, color);
+    this.fillRect(x + width - thickness, y, thickness, height, color);
+  }
+
+  line(x0, y0, x1, y1, color, thickness = 1) {
+    const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0), 1);
+    const offset = Math.floor(thickness / 2);
+    for (let step = 0; step <= steps; step++) {
+      const x = Math.round(x0 + ((x1 - x0) * step) / steps);
+      const y = Math.round(y0 + ((y1 - y0) * step) / steps);
+      this.fillRect(x - offset, y - offset, thickness, thickness, color);
+    }
+  }
+
+  fillCircle(cx, cy, radius, color) {
+    for (let y = Math.floor(cy - radius); y <= Math.ceil(cy + radius); y++) {
+      for (let x = Math.floor(cx - radius); x <= Math.ceil(cx + radius); x++) {
+        if ((x - cx) ** 2 + (y - cy) ** 2 <= radius ** 2) {
+          this.setPixel(x, y, color);
+        }
+      }
+    }
+  }
+
+  // Slices are { start, end, color } with angles in radians clockwise from
+  // 12 o'clock; innerRadius > 0 leaves a doughnut hole
+  fillSlices(cx, cy, radius, innerRadius, slices) {
+    for (let y = Math.floor(cy - radius); y <= Math.ceil(cy + radius); y++) {
+      for (let x = Math.floor(cx - radius); x <= Math.ceil(cx + radius); x++) {
+        const distance = Math.sqrt((x - cx) ** 2 + (y - cy) ** 2);
+        if (distance > radius || distance < innerRadius) {
+          continue;
+        }
+        let angle = Math.atan2(x - cx, cy - y);
+        if (angle < 0) {
+          angle += Math.PI * 2;
+        }
+        const slice = slices.find(candidate => angle >= candidate.start && angle < candidate.end);
+        if (slice) {
+          this.setPixel(x, y, slice.color);
+        }
+      }
+    }
+  }
+
+  text(x, y, text, color, scale = 1) {
+    let cursor = Math.round(x);
+    for (const char of text) {
+      const columns = font.glyph(char);
+      columns.forEach((bits, column) => {
+        for (let row = 0; row < font.GLYPH_HEIGHT; row++) {
+          if (bits & (1 << row)) {
+            this.fillRect(cursor + column * scale, Math.round(y) + row * scale, scale, scale, color);
+          }
+        }
+      });
+      cursor += font.ADVANCE * scale;
+    }
+  }
+}
+
+module.exports = {
+  Canvas,
+  parseColor,
+  mix
+};
@@ -0,0 +1,127 @@
+// Reduces a populated card to what the HTML and PNG renderers draw: a header
+// and a list of blocks. Each built-in card type maps its config here; other
+// types fall back to their content and items.
+//
+//   {
+//     title, subtitle, background, color, border, stale,
+//     blocks: [
+//       { kind: 'text', text },
+//       { kind: 'list', items: [{ text, detail?, color?, muted? }] },
+//       { kind: 'metrics', items: [{ label, value, change?, trend?, color? }] },
+//       { kind: 'chart', chartType, labels, datasets }
+//     ]
+//   }
+
+// Stored content often carries literal "\n" sequences rather than newlines
+function textBlock(content) {
+  const text = String(content || '').replace(/\\n/g, '\n').trim();
+  return text ? [{ kind: 'text', text }] : [];
+}
+
+function listBlock(items) {
+  return items.length > 0 ? [{ kind: 'list', items }] : [];
+}
+
+// Local HH:MM for ISO timestamps; anything else is shown as given
+function shortTime(value) {
+  if (typeof value !== 'string' || !value.includes('T') || Number.isNaN(Date.parse(value))) {
+    return value === undefined || value === null ? '' : String(value);
+  }
+  return new Date(value).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+}
+
+function minutesAway({ minutesAway: minutes, minutes: legacy, arrivalTime }) {
+  const value = minutes !== undefined ? minutes : legacy;
+  if (value === 0) {
+    return 'Due';
+  }
+  return typeof value === 'number' ? `${value} min` : shortTime(arrivalTime);
+}
+
+// Provider cards show their items, or their content when there are none
+function providerView(toItem) {
+  return config => {
+    const items = (config.items || []).map(toItem);
+    return items.length > 0 ? listBlock(items) : textBlock(config.content);
+  };
+}
+
+const EVENT_STATUS = { now: '#28a745', next: '#007bff' };
+
+const VIEWS = {
+  text: config => textBlock(config.content),
+
+  status: config => listBlock((config.items || []).map(item => ({
+    text: item.label,
+    detail: item.status,
+    color: item.color
+  }))),
+
+  metric: config => [{ kind: 'metrics', items: config.metrics || [] }],
+
+  info: config => [
+    ...textBlock(config.content),
+    ...listBlock((config.items || []).map(item => ({ text: item.text, color: item.color })))
+  ],
+
+  chart: config => [{
+    kind: 'chart',
+    chartType: config.chartType || 'bar',
+    labels: (config.data && config.data.labels) || [],
+    datasets: (config.data && config.data.datasets) || []
+  }],
+
+  transit: providerView(item => ({
+    text: [item.route, item.destination].filter(Boolean).join(' to '),
+    detail: (item.arrivals || [item]).map(arrival => minutesAway(arrival)).join(', ')
+  })),
+
+  events: config => {
+    const item = (event, detail) => ({ text: event.title, detail, color: EVENT_STATUS[event.status] });
+    if (config.groups && config.groups.length > 0) {
+      return config.groups.flatMap(group => [
+        { kind: 'text', text: group.label },
+        ...listBlock(group.items.map(event => item(event, event.time)))
+      ]);
+    }
+    const items = (config.items || []).map(event => item(event, event.when || shortTime(event.time)));
+    return items.length > 0 ? listBlock(items) : textBlock(config.content);
+  },
+
+  tasks: providerView(item => ({
+    text: item.title,
+    detail: item.completed ? 'done' : item.priority,
+    muted: Boolean(item.completed)
+  })),
+
+  activity: providerView(item => ({
+    text: item.text,
+    detail: shortTime(item.timestamp)
+  }))
+};
+
+const fallbackView = providerView(item => ({
+  text: item.text || item.title || item.label || '',
+  detail: item.detail || item.status || ''
+}));
+
+const cardView = {
+  VIEWS,
+
+  build(card) {
+    const config = card.config || {};
+    const view = VIEWS[card.type] || fallbackView;
+
+    return {
+      title: config.title || '',
+      subtitle: config.subtitle || '',
+      background: config.backgroundColor || '#ffffff',
+      color: config.textColor || '#333333',
+      border: config.borderColor || '#dddddd',
+      stale: Boolean(card.dataStatus && card.dataStatus.stale),
+      blocks: view(config)
+    };
+  }
+};
+
+module.exports = cardView;
@@ -0,0 +1,112 @@
+// Geometry for chart blocks, shared by the SVG and raster renderers. Bar
+// and line charts plot every dataset against the labels; pie, doughnut and
+// polarArea charts slice the first dataset. Radar and scatter charts are
+// drawn as lines.
+
+const PALETTE = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'];
+
+function pick(value, index, fallback) {
+  if (Array.isArray(value)) {
+    return value[index % value.length] || fallback;
+  }
+  return value || fallback;
+}
+
+function valueRange(datasets) {
+  const values = datasets.flatMap(dataset => dataset.data || []).filter(value => typeof value === 'number');
+  const min = Math.min(0, ...values);
+  const max = Math.max(0, ...values);
+  return { min, max: max === min ? min + 1 : max };
+}
+
+const chart = {
+  PALETTE,
+
+  // `box` is the area to fill and `labelHeight` the space to keep below the
+  // plot for x-axis labels. Returns { rects, lines, slices, axes, labels }.
+  shapes(block, box, labelHeight) {
+    const shapes = { rects: [], lines: [], slices: null, axes: [], labels: [] };
+    const datasets = block.datasets.filter(dataset => Array.isArray(dataset.data));
+    if (datasets.length === 0) {
+      return shapes;
+    }
+
+    if (['pie', 'doughnut', 'polarArea'].includes(block.chartType)) {
+      const values = datasets[0].data.map(value => Math.max(0, Number(value) || 0));
+      const total = values.reduce((sum, value) => sum + value, 0) || 1;
+      const radius = Math.max(0, Math.min(box.width, box.height) / 2 - 2);
+      let start = 0;
+      shapes.slices = {
+        cx: box.x + box.width / 2,
+        cy: box.y + box.height / 2,
+        radius,
+        innerRadius: block.chartType === 'doughnut' ? radius * 0.55 : 0,
+        items: values.map((value, index) => {
+          const end = start + (value / total) * Math.PI * 2;
+          const slice = {
+            start,
+            end,
+            color: pick(datasets[0].backgroundColor, index, PALETTE[index % PALETTE.length]),
+            label: block.labels[index]
+          };
+          start = end;
+          return slice;
+        })
+      };
+      return shapes;
+    }
+
+    const plot = { x: box.x, y: box.y, width: box.width, height: Math.max(0, box.height - labelHeight) };
+    const count = Math.max(block.labels.length, ...datasets.map(dataset => dataset.data.length));
+    const group = plot.width / Math.max(count, 1);
+    const { min, max } = valueRange(datasets);
+    const scaleY = value => plot.y + plot.height - ((value - min) / (max - min)) * plot.height;
+    const baseline = scaleY(0);
+
+    shapes.axes.push({ x0: plot.x, y0: baseline, x1: plot.x + plot.width, y1: baseline });
+    block.labels.forEach((label, index) => {
+      shapes.labels.push({ x: plot.x + group * (index + 0.5), y: plot.y + plot.height + 2, text: String(label), width: group });
+    });
+
+    if (block.chartType === 'bar') {
+      const barWidth = (group * 0.8) / datasets.length;
+      datasets.forEach((dataset, datasetIndex) => {
+        dataset.data.forEach((value, index) => {
+          if (typeof value !== 'number') {
+            return;
+          }
+          const top = Math.min(scaleY(value), baseline);
+          shapes.rects.push({
+            x: plot.x + group * index + group * 0.1 + barWidth * datasetIndex,
+            y: top,
+            width: Math.max(1, barWidth - 1),
+            height: Math.max(1, Math.abs(scaleY(value) - baseline)),
+            color: pick(dataset.backgroundColor, index, pick(dataset.borderColor, index, PALETTE[datasetIndex % PALETTE.length]))
+          });
+        });
+      });
+      return shapes;
+    }
+
+    datasets.forEach((dataset, datasetIndex) => {
+      const color = pick(dataset.borderColor, 0, PALETTE[datasetIndex % PALETTE.length]);
+      let points = [];
+      dataset.data.forEach((value, index) => {
+        if (typeof value !== 'number') {
+          if (points.length > 0) {
+            shapes.lines.push({ points, color });
+          }
+          points = [];
+          return;
+        }
+        points.push([plot.x + group * (index + 0.5), scaleY(value)]);
+      });
+      if (points.length > 0) {
+        shapes.lines.push({ points, color });
+      }
+    });
+    return shapes;
+  }
+};
+
+module.exports = chart;
@@ -0,0 +1,150 @@
+const chart = require('./chart');
+const layout = require('./layout');
+const cardView = require('./cardView');
+
+// Self-contained HTML page for a populated UI profile: the profile's CSS
+// grid with inline styles, charts as inline SVG, and no scripts. Rotating
+// zones show the cards that are up at render time; `refresh` adds a meta
+// refresh so a plain browser keeps the page current.
+
+const STYLE = `
+*{box-sizing:border-box}
+html,body{margin:0;padding:0}
+body{font-family:-apple-system,"Segoe UI",Roboto,Helvetica,Arial,sans-serif;background:#f0f2f5;color:#333;overflow:hidden}
+.grid{display:grid;width:100%;height:100%}
+.zone{display:flex;flex-direction:column;gap:8px;padding:8px;min-width:0;min-height:0}
+.card{flex:1 1 0;min-height:0;overflow:hidden;border:1px solid;border-radius:6px;padding:12px;position:relative}
+.card h2{margin:0 0 2px;font-size:1.15em}
+.card .subtitle{margin:0 0 8px;opacity:.7;font-size:.85em}
+.card .stale{position:absolute;top:8px;right:8px;width:8px;height:8px;border-radius:50%;background:#fd7e14}
+.text{margin:0 0 8px;white-space:pre-line}
+.list,.metrics{list-style:none;margin:0 0 8px;padding:0}
+.list li,.metrics li{display:flex;align-items:center;gap:6px;padding:2px 0}
+.list .label,.metrics .label{flex:1;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
+.list .detail,.metrics .label{opacity:.7}
+.list .muted{opacity:.6;text-decoration:line-through}
+.dot{width:8px;height:8px;border-radius:50%;flex:none}
+.metrics .value{font-size:1.3em;font-weight:600}
+.metrics .up{color:#28a745}.metrics .down{color:#dc3545}
+svg.chart{display:block;width:100%;height:calc(100% - 3em)}
+`;
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Only values that can't break out of a style attribute make it through
+function cssValue(value, fallback) {
+  return typeof value === 'string' && /^[#\w\s(),.%-]+$/.test(value) ? value : fallback;
+}
+
+function svgChart(block) {
+  const box = { x: 0, y: 0, width: 400, height: 200 };
+  const shapes = chart.shapes(block, box, 16);
+  const parts = [];
+
+  shapes.axes.forEach(({ x0, y0, x1, y1 }) => {
+    parts.push(`<line x1="${x0}" y1="${y0}" x2="${x1}" y2="${y1}" stroke="currentColor" stroke-opacity="0.4"/>`);
+  });
+  shapes.rects.forEach(rect => {
+    parts.push(`<rect x="${rect.x}" y="${rect.y}" width="${rect.width}" height="${rect.height}" fill="${escapeHtml(cssValue(rect.color, 'currentColor'))}"/>`);
+  });
+  shapes.lines.forEach(({ points, color }) => {
+    parts.push(`<polyline points="${points.map(point => point.join(',')).join(' ')}" fill="none" stroke="${escapeHtml(cssValue(color, 'currentColor'))}" stroke-width="2"/>`);
+  });
+  if (shapes.slices) {
+    const { cx, cy, radius, innerRadius, items } = shapes.slices;
+    const point = (angle, r) => `${cx + Math.sin(angle) * r},${cy - Math.cos(angle) * r}`;
+    items.filter(item => item.end > item.start).forEach(item => {
+      const large = item.end - item.start > Math.PI ? 1 : 0;
+      const end = Math.min(item.end, item.start + Math.PI * 2 - 0.0001);
+      parts.push(`<path d="M${point(item.start, radius)} A${radius},${radius} 0 ${large} 1 ${point(end, radius)} L${cx},${cy} Z" fill="${escapeHtml(cssValue(item.color, 'currentColor'))}"><title>${escapeHtml(item.label)}</title></path>`);
+    });
+    if (innerRadius > 0) {
+      parts.push(`<circle cx="${cx}" cy="${cy}" r="${innerRadius}" fill="var(--card-background)"/>`);
+    }
+  }
+  shapes.labels.forEach(label => {
+    parts.push(`<text x="${label.x}" y="${label.y + 12}" font-size="11" text-anchor="middle" fill="currentColor" fill-opacity="0.7">${escapeHtml(label.text)}</text>`);
+  });
+
+  return `<svg class="chart" viewBox="0 0 ${box.width} ${box.height}" preserveAspectRatio="xMidYMid meet">${parts.join('')}</svg>`;
+}
+
+function blockHtml(block) {
+  if (block.kind === 'text') {
+    return `<p class="text">${escapeHtml(block.text)}</p>`;
+  }
+  if (block.kind === 'list') {
+    return `<ul class="list">${block.items.map(item => (
+      `<li>${item.color ? `<span class="dot" style="background:${escapeHtml(cssValue(item.color, 'currentColor'))}"></span>` : ''}` +
+      `<span class="label${item.muted ? ' muted' : ''}">${escapeHtml(item.text)}</span>` +
+      `${item.detail ? `<span class="detail">${escapeHtml(item.detail)}</span>` : ''}</li>`
+    )).join('')}</ul>`;
+  }
+  if (block.kind === 'metrics') {
+    return `<ul class="metrics">${block.items.map(metric => (
+      `<li><span class="label">${escapeHtml(metric.label)}</span>` +
+      `<span class="value"${metric.color ? ` style="color:${escapeHtml(cssValue(metric.color, 'inherit'))}"` : ''}>${escapeHtml(metric.value)}</span>` +
+      `${metric.change ? `<span class="${escapeHtml(metric.trend || '')}">${escapeHtml(metric.change)}</span>` : ''}</li>`
+    )).join('')}</ul>`;
+  }
+  if (block.kind === 'chart') {
+    return svgChart(block);
+  }
+  return '';
+}
+
+function cardHtml(card) {
+  const view = cardView.build(card);
+  const background = escapeHtml(cssValue(view.background, '#ffffff'));
+  const style = `background:${background};--card-background:${background};` +
+    `color:${escapeHtml(cssValue(view.color, '#333333'))};border-color:${escapeHtml(cssValue(view.border, '#dddddd'))}`;
+
+  return `<article class="card card-${escapeHtml(card.type)}" data-card-id="${escapeHtml(card.id)}" style="${style}">` +
+    `${view.stale ? '<span class="stale" title="Data may be out of date"></span>' : ''}` +
+    `${view.title ? `<h2>${escapeHtml(view.title)}</h2>` : ''}` +
+    `${view.subtitle ? `<p class="subtitle">${escapeHtml(view.subtitle)}</p>` : ''}` +
+    `${view.blocks.map(blockHtml).join('')}</article>`;
+}
+
+const html = {
+  render(profile, { width, height, at = new Date(), refresh }) {
+    const { gridConfig } = profile;
+    const gridStyle = [
+      `grid-template-columns:${escapeHtml(cssValue(gridConfig.columns, '1fr'))}`,
+      `grid-template-rows:${escapeHtml(cssValue(gridConfig.rows, '1fr'))}`,
+      `grid-template-areas:${gridConfig.areas.map(row => `&quot;${row.map(escapeHtml).join(' ')}&quot;`).join(' ')}`,
+      gridConfig.gap ? `gap:${escapeHtml(cssValue(gridConfig.gap, '0'))}` : null
+    ].filter(Boolean).join(';');
+
+    const zones = profile.zones.map(zone => (
+      `<section class="zone" data-zone-id="${escapeHtml(zone.id)}" style="grid-area:${escapeHtml(zone.gridArea || zone.id)}">` +
+      `${layout.visibleCards(zone, at).map(cardHtml).join('')}</section>`
+    )).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=${width}, height=${height}">
+${refresh ? `<meta http-equiv="refresh" content="${Number(refresh)}">\n` : ''}<title>${escapeHtml(profile.name)}</title>
+<style>${STYLE}body{width:${width}px;height:${height}px}</style>
+</head>
+<body>
+<main class="grid" style="${gridStyle}">
+${zones}
+</main>
+<!-- rendered ${at.toISOString()} -->
+</body>
+</html>
+`;
+  }
+};
+
+module.exports = html;
@@ -0,0 +1,34 @@
+const html = require('./html');
+const raster = require('./raster');
+
+// Static snapshots of a populated UI profile, for displays that can't run
+// the dashboard client and for previews. Both take { width, height, at };
+// html also takes `refresh` (seconds).
+//
+// Drawing a PNG holds the event loop and a full-size pixel buffer, so PNGs
+// render one at a time and at most MAX_QUEUED_PNG wait; beyond that png()
+// rejects with a 503 error.
+const MAX_QUEUED_PNG = 4;
+
+let queue = Promise.resolve();
+let queued = 0;
+
+function png(profile, options) {
+  if (queued >= MAX_QUEUED_PNG) {
+    const error = new Error('Too many snapshots rendering, try again shortly');
+    error.statusCode = 503;
+    return Promise.reject(error);
+  }
+
+  queued++;
+  const rendered = queue.then(() => raster.render(profile, options));
+  queue = rendered.catch(() => {});
+  return rendered.finally(() => {
+    queued--;
+  });
+}
+
+module.exports = {
+  html: (profile, options) => html.render(profile, options),
+  png
+};
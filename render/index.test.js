@@ -0,0 +1,58 @@
+const zlib = require('zlib');
+const png = require('./png');
+const raster = require('./raster');
+const render = require('.');
+
+describe('png.encode', () => {
+  test('writes a PNG whose image data inflates back to the pixels', async () => {
+    const pixels = Buffer.from([255, 0, 0, 0, 255, 0, 0, 0, 255, 255, 255, 255]);
+    const image = await png.encode(2, 2, pixels);
+
+    expect(image.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+    expect(image.readUInt32BE(16)).toBe(2);
+    expect(image.readUInt32BE(20)).toBe(2);
+
+    const idatLength = image.readUInt32BE(33);
+    expect(image.toString('ascii', 37, 41)).toBe('IDAT');
+    const raw = zlib.inflateSync(image.subarray(41, 41 + idatLength));
+    // Each row starts with a filter-type byte
+    expect(raw).toEqual(Buffer.from([0, 255, 0, 0, 0, 255, 0, 0, 0, 0, 255, 255, 255, 255]));
+  });
+});
+
+describe('render.png', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('renders one at a time and turns away requests past the queue limit', async () => {
+    const finish = [];
+    let running = 0;
+    let maxRunning = 0;
+    jest.spyOn(raster, 'render').mockImplementation(() => new Promise(resolve => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      finish.push(() => {
+        running--;
+        resolve(Buffer.alloc(0));
+      });
+    }));
+
+    const accepted = [1, 2, 3, 4].map(() => render.png({}, {}));
+    await expect(render.png({}, {})).rejects.toMatchObject({ statusCode: 503 });
+
+    for (let index = 0; index < accepted.length; index++) {
+      await new Promise(resolve => setImmediate(resolve));
+      expect(finish).toHaveLength(index + 1);
+      finish[index]();
+      await accepted[index];
+    }
+    expect(maxRunning).toBe(1);
+
+    // Room again once the queue drains
+    const next = render.png({}, {});
+    await new Promise(resolve => setImmediate(resolve));
+    finish[finish.length - 1]();
+    await expect(next).resolves.toEqual(Buffer.alloc(0));
+  });
+});
@@ -0,0 +1,90 @@
+const zoneRotation = require('../zoneRotation');
+
+// Pixel boxes for a UI profile's zones at a given resolution, following its
+// gridConfig closely enough for snapshots: px and % tracks keep their size
+// (shrunk proportionally if they don't fit) and every other track (fr,
+// auto, minmax()...) shares what is left, weighted by its fr value.
+
+function splitTracks(spec) {
+  return String(spec || '1fr').match(/[\w-]+\([^)]*\)|\S+/g) || ['1fr'];
+}
+
+function parseGap(gap) {
+  const [row = 0, column = row] = String(gap || '0')
+    .split(/\s+/)
+    .map(value => parseFloat(value) || 0);
+  return { row, column };
+}
+
+// [{ start, size }] for each track along an axis of `total` pixels
+function tracks(spec, total, gap) {
+  const parts = splitTracks(spec);
+  const available = Math.max(0, total - gap * (parts.length - 1));
+
+  const sizes = parts.map(part => {
+    if (/^[\d.]+px$/.test(part)) {
+      return { fixed: parseFloat(part) };
+    }
+    if (/^[\d.]+%$/.test(part)) {
+      return { fixed: (parseFloat(part) / 100) * available };
+    }
+    return { fr: /^[\d.]+fr$/.test(part) ? parseFloat(part) : 1 };
+  });
+
+  const fixedTotal = sizes.reduce((sum, size) => sum + (size.fixed || 0), 0);
+  const frTotal = sizes.reduce((sum, size) => sum + (size.fr || 0), 0);
+  const shrink = fixedTotal > available ? available / fixedTotal : 1;
+  const remaining = Math.max(0, available - fixedTotal * shrink);
+
+  let start = 0;
+  return sizes.map(size => {
+    const pixels = size.fixed !== undefined ? size.fixed * shrink : (remaining * size.fr) / (frTotal || 1);
+    const track = { start: Math.round(start), size: Math.round(pixels) };
+    start += pixels + gap;
+    return track;
+  });
+}
+
+const layout = {
+  // { zoneId: { x, y, width, height } }
+  zoneBoxes(profile, width, height) {
+    const { gridConfig } = profile;
+    const gap = parseGap(gridConfig.gap);
+    const columns = tracks(gridConfig.columns, width, gap.column);
+    const rows = tracks(gridConfig.rows, height, gap.row);
+
+    const boxes = {};
+    profile.zones.forEach((zone, index) => {
+      const position = zone.position || { row: 1, column: index + 1, rowSpan: 1, columnSpan: 1 };
+      const first = { column: columns[position.column - 1], row: rows[position.row - 1] };
+      const last = {
+        column: columns[position.column + (position.columnSpan || 1) - 2],
+        row: rows[position.row + (position.rowSpan || 1) - 2]
+      };
+      if (!first.column || !first.row || !last.column || !last.row) {
+        return;
+      }
+
+      boxes[zone.id] = {
+        x: first.column.start,
+        y: first.row.start,
+        width: last.column.start + last.column.size - first.column.start,
+        height: last.row.start + last.row.size - first.row.start
+      };
+    });
+    return boxes;
+  },
+
+  // Cards a zone shows at `at`, taking a carousel's current step into account
+  visibleCards(zone, at = new Date()) {
+    if (!zone.rotation) {
+      return zone.cards;
+    }
+    const { cards } = zoneRotation.position(zone.rotation, at);
+    return cards
+      .map(cardId => zone.cards.find(card => card.id === cardId))
+      .filter(card => card !== undefined);
+  }
+};
+
+module.exports = layout;
@@ -0,0 +1,210 @@
+const font = require('./font');
+const chart = require('./chart');
+const layout = require('./layout');
+const cardView = require('./cardView');
+const png = require('./png');
+const { Canvas, parseColor, mix } = require('./canvas');
+
+// Draws a populated UI profile into a PNG. Zones stack their visible cards
+// with equal heights, text uses the built-in bitmap font, and everything
+// scales with the output resolution (scale 1 up to 540px on the short side).
+
+const PAGE_BACKGROUND = parseColor('#f0f2f5');
+const WHITE = [255, 255, 255, 1];
+const TEXT = [51, 51, 51, 1];
+const STALE = parseColor('#fd7e14');
+const TRENDS = { up: parseColor('#28a745'), down: parseColor('#dc3545') };
+const ARROWS = { up: '^', down: 'v', stable: '=' };
+
+function fit(text, maxWidth, scale) {
+  const ascii = font.toAscii(text);
+  const chars = Math.floor(maxWidth / (font.ADVANCE * scale));
+  if (chars <= 0) {
+    return '';
+  }
+  if (ascii.length <= chars) {
+    return ascii;
+  }
+  return chars > 3 ? `${ascii.slice(0, chars - 3)}...` : ascii.slice(0, chars);
+}
+
+function wrap(text, maxWidth, scale) {
+  const chars = Math.max(1, Math.floor(maxWidth / (font.ADVANCE * scale)));
+  const lines = [];
+  text.split('\n').forEach(paragraph => {
+    let line = '';
+    font.toAscii(paragraph).split(' ').forEach(word => {
+      while (word.length > chars) {
+        if (line) {
+          lines.push(line);
+          line = '';
+        }
+        lines.push(word.slice(0, chars));
+        word = word.slice(chars);
+      }
+      if (!line) {
+        line = word;
+      } else if (line.length + 1 + word.length <= chars) {
+        line += ` ${word}`;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+function drawChart(canvas, block, box, colors, scale) {
+  const shapes = chart.shapes(block, box, font.lineHeight(scale));
+
+  shapes.axes.forEach(({ x0, y0, x1, y1 }) => canvas.line(x0, y0, x1, y1, colors.muted));
+  shapes.rects.forEach(rect => canvas.fillRect(rect.x, rect.y, rect.width, rect.height, parseColor(rect.color, colors.text)));
+  shapes.lines.forEach(({ points, color }) => {
+    const stroke = parseColor(color, colors.text);
+    points.slice(1).forEach(([x, y], index) => {
+      const [previousX, previousY] = points[index];
+      canvas.line(previousX, previousY, x, y, stroke, scale);
+    });
+    points.forEach(([x, y]) => canvas.fillCircle(x, y, scale * 1.5, stroke));
+  });
+  if (shapes.slices) {
+    const { cx, cy, radius, innerRadius, items } = shapes.slices;
+    canvas.fillSlices(cx, cy, radius, innerRadius, items.map(item => ({ ...item, color: parseColor(item.color, colors.text) })));
+  }
+  shapes.labels.forEach(label => {
+    const text = fit(label.text, label.width, scale);
+    canvas.text(label.x - font.width(text, scale) / 2, label.y, text, colors.muted, scale);
+  });
+}
+
+function drawBlock(canvas, block, area, colors, scale) {
+  const lineHeight = font.lineHeight(scale);
+  const bottom = area.y + area.height;
+  let y = area.y;
+
+  if (block.kind === 'text') {
+    for (const line of wrap(block.text, area.width, scale)) {
+      if (y + lineHeight > bottom) {
+        break;
+      }
+      canvas.text(area.x, y, line, colors.text, scale);
+      y += lineHeight;
+    }
+  } else if (block.kind === 'list') {
+    for (const item of block.items) {
+      if (y + lineHeight > bottom) {
+        break;
+      }
+      let x = area.x;
+      if (item.color) {
+        canvas.fillCircle(x + 3 * scale, y + 3.5 * scale, 3 * scale, parseColor(item.color, colors.text));
+        x += 9 * scale;
+      }
+      const detail = fit(item.detail || '', area.width / 2, scale);
+      const detailWidth = font.width(detail, scale);
+      canvas.text(area.x + area.width - detailWidth, y, detail, colors.muted, scale);
+      const text = fit(item.text || '', area.x + area.width - x - detailWidth - 4 * scale, scale);
+      canvas.text(x, y, text, item.muted ? colors.muted : colors.text, scale);
+      y += lineHeight;
+    }
+  } else if (block.kind === 'metrics') {
+    const rowHeight = font.lineHeight(scale + 1);
+    for (const metric of block.items) {
+      if (y + rowHeight > bottom) {
+        break;
+      }
+      const change = metric.change ? fit(`${ARROWS[metric.trend] || ''}${metric.change}`, area.width / 3, scale) : '';
+      const changeWidth = change ? font.width(change, scale) + 3 * scale : 0;
+      const value = fit(String(metric.value), area.width / 2, scale + 1);
+      const valueWidth = font.width(value, scale + 1);
+      const valueX = area.x + area.width - changeWidth - valueWidth;
+
+      canvas.text(area.x, y + scale, fit(metric.label, valueX - area.x - 4 * scale, scale), colors.muted, scale);
+      canvas.text(valueX, y, value, parseColor(metric.color, colors.text), scale + 1);
+      if (change) {
+        canvas.text(area.x + area.width - changeWidth + 3 * scale, y + scale, change, TRENDS[metric.trend] || colors.muted, scale);
+      }
+      y += rowHeight;
+    }
+  } else if (block.kind === 'chart') {
+    drawChart(canvas, block, { ...area, height: bottom - y }, colors, scale);
+    y = bottom;
+  }
+
+  return y;
+}
+
+function drawCard(canvas, card, box, scale) {
+  const view = cardView.build(card);
+  const background = parseColor(view.background, WHITE);
+  const text = parseColor(view.color, TEXT);
+  const colors = { text, muted: mix(background, text, 0.6) };
+  const pad = 6 * scale;
+
+  canvas.setClip(box.x, box.y, box.width, box.height);
+  canvas.fillRect(box.x, box.y, box.width, box.height, background);
+  canvas.strokeRect(box.x, box.y, box.width, box.height, parseColor(view.border, colors.muted), Math.max(1, Math.floor(scale / 2)));
+  if (view.stale) {
+    canvas.fillCircle(box.x + box.width - pad, box.y + pad, 2 * scale, STALE);
+  }
+
+  const area = { x: box.x + pad, y: box.y + pad, width: box.width - pad * 2, height: box.height - pad * 2 };
+  canvas.setClip(area.x, area.y, area.width, area.height);
+
+  let y = area.y;
+  if (view.title) {
+    const title = fit(view.title, area.width - 3 * scale, scale + 1);
+    canvas.text(area.x, y, title, text, scale + 1);
+    canvas.text(area.x + 1, y, title, text, scale + 1);
+    y += font.lineHeight(scale + 1);
+  }
+  if (view.subtitle) {
+    canvas.text(area.x, y, fit(view.subtitle, area.width, scale), colors.muted, scale);
+    y += font.lineHeight(scale);
+  }
+  y += 2 * scale;
+
+  for (const block of view.blocks) {
+    if (y >= area.y + area.height) {
+      break;
+    }
+    y = drawBlock(canvas, block, { x: area.x, y, width: area.width, height: area.y + area.height - y }, colors, scale) + 2 * scale;
+  }
+
+  canvas.resetClip();
+}
+
+const raster = {
+  // Resolves to the PNG
+  render(profile, { width, height, at = new Date() }) {
+    const canvas = new Canvas(width, height, PAGE_BACKGROUND);
+    const scale = Math.max(1, Math.round(Math.min(width, height) / 540));
+    const gap = 4 * scale;
+    const boxes = layout.zoneBoxes(profile, width, height);
+
+    profile.zones.forEach(zone => {
+      const box = boxes[zone.id];
+      const cards = layout.visibleCards(zone, at);
+      if (!box || cards.length === 0) {
+        return;
+      }
+
+      const inner = { x: box.x + gap, y: box.y + gap, width: box.width - gap * 2, height: box.height - gap * 2 };
+      const cardHeight = (inner.height - gap * (cards.length - 1)) / cards.length;
+      cards.forEach((card, index) => {
+        drawCard(canvas, card, {
+          x: Math.round(inner.x),
+          y: Math.round(inner.y + index * (cardHeight + gap)),
+          width: Math.round(inner.width),
+          height: Math.round(cardHeight)
+        }, scale);
+      });
+    });
+
+    return png.encode(width, height, canvas.pixels);
+  }
+};
+
+module.exports = raster;
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// Copies every document from one storage backend to another.
+//
+//   npm run migrate:storage -- --from file --to sqlite
+//   npm run migrate:storage -- --from sqlite --to file --data-dir ./data --sqlite-path ./data/projector.db
+//
+// Existing keys in the target are overwritten; nothing is deleted from the
+// source.
+const path = require('path');
+const { BACKENDS, createStorage } = require('../storage');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+async function migrate() {
+  const args = parseArgs(process.argv.slice(2));
+  const options = {
+    dataDir: args['data-dir'] || process.env.DATA_DIR || path.join(__dirname, '..', 'data'),
+    sqlitePath: args['sqlite-path'] || process.env.SQLITE_PATH
+  };
+
+  if (!BACKENDS.includes(args.from) || !BACKENDS.includes(args.to) || args.from === args.to) {
+    console.error(`Usage: migrateStorage --from <${BACKENDS.join('|')}> --to <${BACKENDS.join('|')}> [--data-dir dir] [--sqlite-path file]`);
+    process.exit(1);
+  }
+
+  const source = createStorage({ ...options, backend: args.from });
+  const target = createStorage({ ...options, backend: args.to });
+  await source.init();
+  await target.init();
+
+  try {
+    const keys = await source.list('');
+    for (const key of keys) {
+      await target.write(key, await source.read(key));
+    }
+    console.log(`[Migrate] Copied ${keys.length} documents from ${args.from} to ${args.to}`);
+  } finally {
+    await source.close();
+    await target.close();
+  }
+}
+
+migrate().catch(error => {
+  console.error('[Migrate] Failed:', error.message);
+  process.exit(1);
+});
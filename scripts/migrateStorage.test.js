@@ -0,0 +1,55 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createStorage } = require('../storage');
+
+const script = path.join(__dirname, 'migrateStorage.js');
+
+let dataDir;
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'projector-migrate-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function migrate(...args) {
+  return execFileSync(process.execPath, [script, ...args, '--data-dir', dataDir], { encoding: 'utf8', stdio: 'pipe', timeout: 30000 });
+}
+
+test('copies every file document into SQLite and back', async () => {
+  const documents = {
+    'card-welcome.json': { id: 'welcome', type: 'text', config: { content: 'Hi' } },
+    'profile-main.json': { id: 'main', name: 'Main', zones: { main: { width: 0, height: 0, cards: ['welcome'] } } },
+    'apiKeys.json': { keys: [] }
+  };
+  Object.entries(documents).forEach(([key, data]) => {
+    fs.writeFileSync(path.join(dataDir, key), JSON.stringify(data));
+  });
+
+  expect(migrate('--from', 'file', '--to', 'sqlite')).toContain('Copied 3 documents from file to sqlite');
+
+  const sqlite = createStorage({ backend: 'sqlite', dataDir });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await sqlite.init();
+  try {
+    expect((await sqlite.list('')).sort()).toEqual(Object.keys(documents).sort());
+    for (const [key, data] of Object.entries(documents)) {
+      expect(await sqlite.read(key)).toEqual(data);
+    }
+    await sqlite.write('card-welcome.json', { id: 'welcome', type: 'text', config: { content: 'Edited' } });
+  } finally {
+    await sqlite.close();
+    jest.restoreAllMocks();
+  }
+
+  migrate('--from', 'sqlite', '--to', 'file');
+  expect(JSON.parse(fs.readFileSync(path.join(dataDir, 'card-welcome.json'), 'utf8')).config.content).toBe('Edited');
+});
+
+test('refuses to run without two different backends', () => {
+  expect(() => migrate('--from', 'file', '--to', 'file')).toThrow();
+});
@@ -1,14 +1,51 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const fs = require('fs').promises;
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
 const ctaapiService = require('./ctaapiService');
+const gridLayout = require('./gridLayout');
+const providerRegistry = require('./providerRegistry');
+const profileSchedule = require('./profileSchedule');
+const jsonDiff = require('./jsonDiff');
+const jsonPatch = require('./jsonPatch');
+const cardTypes = require('./cardTypes');
+const zoneRotation = require('./zoneRotation');
+const profileInheritance = require('./profileInheritance');
+const defaultTemplate = require('./defaultTemplate');
+const auditLog = require('./auditLog');
+const render = require('./render');
+const { createStorage } = require('./storage');
 
 const app = express();
 const PORT = 8080;
-const DATA_DIR = path.join(__dirname, 'data');
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const PROVIDERS_DIR = path.join(__dirname, 'providers');
+const STREAM_HEARTBEAT_INTERVAL = 15000;
+const STREAM_REFRESH_INTERVAL = 30000;
+const STREAM_RETRY_INTERVAL = 5000;
+// Legacy unscoped routes act on this screen
+const DEFAULT_SCREEN_ID = 'default';
+// API key roles, each including the ones before it
+const ROLES = ['display', 'editor', 'admin'];
+const MAX_REVISIONS = 50;
+// Content type -> patch format accepted by the PATCH routes
+const PATCH_FORMATS = {
+  'application/merge-patch+json': 'merge',
+  'application/json-patch+json': 'json-patch'
+};
+// Route segment -> storage prefix for entities with history
+const ENTITY_KINDS = {
+  profiles: { kind: 'profile', label: 'Profile' },
+  cards: { kind: 'card', label: 'Card' },
+  templates: { kind: 'template', label: 'Template' }
+};
+const ENTITY_ROUTE = `:kind(${Object.keys(ENTITY_KINDS).join('|')})`;
+// Shown on screens without an active profile; cannot be deleted
+const DEFAULT_TEMPLATE_ID = defaultTemplate.id;
+// Ids taken from routes and request bodies end up in storage keys
+const ID_PATTERN = /^[\w-]+$/;
 
 const logger = {
   info: (msg, data) => console.log(`[INFO] ${msg}`, data ? JSON.stringify(data) : ''),
@@ -32,102 +69,370 @@ const corsOptions = {
       callback(new Error('Not allowed by CORS'));
     }
   },
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Requested-With', 'If-Match', 'If-None-Match'],
+  exposedHeaders: ['ETag'],
   credentials: true,
   optionsSuccessStatus: 200
 };
 
 app.use(cors(corsOptions));
-app.use(express.json());
+app.use(express.json({ type: ['application/json', ...Object.keys(PATCH_FORMATS)] }));
 
-const fileStorage = {
-  async ensureDataDir() {
-    try {
-      await fs.access(DATA_DIR);
-    } catch {
-      await fs.mkdir(DATA_DIR, { recursive: true });
-      logger.info('Created data directory');
-    }
-  },
+const storage = createStorage({
+  backend: process.env.STORAGE_BACKEND || 'file',
+  dataDir: DATA_DIR,
+  sqlitePath: process.env.SQLITE_PATH
+});
+auditLog.use(storage);
+ctaapiService.use(storage);
 
-  async readFile(filename, defaultValue = null) {
-    try {
-      const filePath = path.join(DATA_DIR, filename);
-      const data = await fs.readFile(filePath, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return defaultValue;
-      }
-      throw error;
-    }
-  },
+const gridTracks = Joi.alternatives(
+  Joi.string(),
+  Joi.array().items(Joi.string(), Joi.number().min(0)).min(1)
+);
 
-  async writeFile(filename, data) {
-    const filePath = path.join(DATA_DIR, filename);
-    const tempPath = `${filePath}.tmp`;
-    
-    try {
-      await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
-      await fs.rename(tempPath, filePath);
-    } catch (error) {
-      try {
-        await fs.unlink(tempPath);
-      } catch {}
-      throw error;
-    }
-  },
+// One RFC 6902 operation
+const patchOperation = Joi.object({
+  op: Joi.string().valid('add', 'remove', 'replace', 'move', 'copy', 'test').required(),
+  path: Joi.string().allow('').required(),
+  from: Joi.when('op', {
+    is: Joi.valid('move', 'copy'),
+    then: Joi.string().allow('').required(),
+    otherwise: Joi.forbidden()
+  }),
+  value: Joi.when('op', {
+    is: Joi.valid('add', 'replace', 'test'),
+    then: Joi.any().required(),
+    otherwise: Joi.forbidden()
+  })
+});
 
-  async deleteFile(filename) {
-    const filePath = path.join(DATA_DIR, filename);
-    try {
-      await fs.unlink(filePath);
-    } catch (error) {
-      if (error.code !== 'ENOENT') {
-        throw error;
-      }
-    }
+const zone = Joi.object({
+  name: Joi.string().optional(),
+  width: Joi.number().min(0).required(),
+  height: Joi.number().min(0).required(),
+  position: Joi.object({
+    row: Joi.number().integer().min(1).required(),
+    column: Joi.number().integer().min(1).required(),
+    rowSpan: Joi.number().integer().min(1).default(1),
+    columnSpan: Joi.number().integer().min(1).default(1)
+  }).optional(),
+  cards: Joi.array().items(Joi.string().pattern(ID_PATTERN)).default([]),
+  rotation: Joi.object({
+    enabled: Joi.boolean().default(true),
+    dwell: Joi.number().integer().min(1000).default(zoneRotation.DEFAULT_DWELL),
+    cardDwell: Joi.object().pattern(Joi.string(), Joi.number().integer().min(1000)).default({}),
+    maxVisible: Joi.number().integer().min(1).default(1),
+    transition: Joi.string().valid(...zoneRotation.TRANSITIONS).default('none'),
+    transitionDuration: Joi.number().integer().min(0).default(0)
+  }).optional()
+}).custom((zone, helpers) => {
+  const unknown = zone.rotation && zone.cards &&
+    Object.keys(zone.rotation.cardDwell).find(cardId => !zone.cards.includes(cardId));
+  if (unknown) {
+    return helpers.message(`rotation.cardDwell references card "${unknown}" that is not in the zone`);
   }
-};
+  return zone;
+});
+
+// A zone in a profile that extends another: every field is optional and
+// merged over the base zone, and null removes the base zone
+const zoneOverride = zone
+  .fork(['width', 'height'], field => field.optional())
+  .fork(['cards'], () => Joi.array().items(Joi.string()).optional())
+  .allow(null);
+
+// Built-in types have their own schema; types that only exist because a
+// data provider declared them get the common card fields
+function cardConfigSchema(type) {
+  const definition = cardTypes.get(type);
+  if (definition) {
+    return definition.schema;
+  }
+  return providerRegistry.providerForType(type) ? cardTypes.common : null;
+}
 
 const validation = {
+  // config is checked against the schema registered for the card's type
   card: Joi.object({
     id: Joi.string().optional(),
     type: Joi.string().required(),
-    config: Joi.object({
-      apiUrl: Joi.string().uri().optional(),
-      refreshInterval: Joi.number().min(1000).optional()
-    }).unknown(true).required()
+    config: Joi.object().unknown(true).required()
+  }).custom((card, helpers) => {
+    const schema = cardConfigSchema(card.type);
+    if (!schema) {
+      return helpers.message(`Unknown card type: ${card.type}`);
+    }
+    
+    const { error, value } = schema.validate(card.config);
+    if (error) {
+      return helpers.message(`config.${error.details[0].message.replace(/^"/, '').replace(/"/, '')}`);
+    }
+    return { ...card, config: value };
   }),
 
   profile: Joi.object({
     id: Joi.string().optional(),
     name: Joi.string().min(1).required(),
-    zones: Joi.object({
-      left: Joi.object({
-        width: Joi.number().min(0).required(),
-        height: Joi.number().min(0).required(),
-        cards: Joi.array().items(Joi.string()).default([])
-      }).required(),
-      center: Joi.object({
-        width: Joi.number().min(0).required(),
-        height: Joi.number().min(0).required(),
-        cards: Joi.array().items(Joi.string()).default([])
-      }).required(),
-      right: Joi.object({
-        width: Joi.number().min(0).required(),
-        height: Joi.number().min(0).required(),
-        cards: Joi.array().items(Joi.string()).default([])
-      }).required()
-    }).required()
+    grid: Joi.object({
+      columns: gridTracks.optional(),
+      rows: gridTracks.optional(),
+      areas: Joi.array().items(Joi.array().items(Joi.string()).min(1)).min(1).optional(),
+      gap: Joi.alternatives(Joi.string(), Joi.number().min(0)).optional()
+    }).optional(),
+    extends: Joi.string().pattern(ID_PATTERN).optional(),
+    zones: Joi.when('extends', {
+      is: Joi.exist(),
+      then: Joi.object().pattern(Joi.string().pattern(gridLayout.ZONE_ID_PATTERN), zoneOverride).default({}),
+      otherwise: Joi.object().pattern(Joi.string().pattern(gridLayout.ZONE_ID_PATTERN), zone).min(1).required()
+    })
+  }).custom((profile, helpers) => {
+    // Profiles with a base are checked once merged, see checkProfile()
+    if (profile.extends) {
+      return profile;
+    }
+    try {
+      gridLayout.resolve(profile);
+    } catch (error) {
+      return helpers.message(error.message);
+    }
+    return profile;
+  }),
+
+  // Layout fields are validated as a profile, embedded cards as cards
+  template: Joi.object({
+    description: Joi.string().allow('').optional(),
+    cards: Joi.array().items(Joi.object({ id: Joi.string().pattern(ID_PATTERN).required() }).unknown(true)).unique('id').default([])
+  }).unknown(true),
+
+  instantiateTemplate: Joi.object({
+    profileId: Joi.string().pattern(ID_PATTERN).required(),
+    name: Joi.string().min(1).optional()
   }),
 
   activeProfile: Joi.object({
-    profileId: Joi.string().required()
+    profileId: Joi.string().pattern(ID_PATTERN).required()
+  }),
+
+  apiKey: Joi.object({
+    name: Joi.string().min(1).required(),
+    role: Joi.string().valid(...ROLES).required()
+  }),
+
+  screen: Joi.object({
+    id: Joi.string().optional(),
+    name: Joi.string().min(1).required(),
+    resolution: Joi.object({
+      width: Joi.number().integer().min(1).required(),
+      height: Joi.number().integer().min(1).required()
+    }).allow(null).optional(),
+    metadata: Joi.object().unknown(true).default({})
+  }),
+
+  scheduleRule: Joi.object({
+    name: Joi.string().allow('').optional(),
+    profileId: Joi.string().pattern(ID_PATTERN).required(),
+    priority: Joi.number().integer().default(0),
+    timezone: profileSchedule.timezoneSchema.default(profileSchedule.DEFAULT_TIMEZONE),
+    days: Joi.array().items(Joi.string().valid(...profileSchedule.DAYS)).unique().optional(),
+    startTime: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).optional(),
+    endTime: Joi.string().pattern(/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/).optional(),
+    startDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    endDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    screens: Joi.array().items(Joi.string().pattern(ID_PATTERN)).unique().optional(),
+    enabled: Joi.boolean().default(true)
+  }).custom((rule, helpers) => {
+    // A range that ends before it starts can never match
+    if (rule.startDate && rule.endDate && rule.startDate > rule.endDate) {
+      return helpers.message('"startDate" must not be after "endDate"');
+    }
+    return rule;
+  }),
+
+  scheduleOverride: Joi.object({
+    screenId: Joi.string().pattern(ID_PATTERN).default(DEFAULT_SCREEN_ID),
+    profileId: Joi.string().pattern(ID_PATTERN).required(),
+    durationMinutes: Joi.number().min(1).optional(),
+    expiresAt: Joi.date().iso().greater('now').optional()
+  }).xor('durationMinutes', 'expiresAt'),
+
+  schedulePreview: Joi.object({
+    at: Joi.date().iso().optional(),
+    screenId: Joi.string().pattern(ID_PATTERN).default(DEFAULT_SCREEN_ID)
+  }),
+
+  scheduleOverrideClear: Joi.object({
+    screenId: Joi.string().pattern(ID_PATTERN).default(DEFAULT_SCREEN_ID)
+  }),
+
+  profileSaveQuery: Joi.object({
+    allowMissing: Joi.boolean().default(false)
+  }),
+
+  jsonPatch: Joi.array().items(patchOperation).min(1),
+
+  // JSON Patch plus the moveCard shorthand used by the layout editor
+  profilePatch: Joi.array().items(Joi.alternatives().conditional('.op', {
+    is: 'moveCard',
+    then: Joi.object({
+      op: Joi.string().required(),
+      cardId: Joi.string().required(),
+      from: Joi.string().optional(),
+      to: Joi.string().required(),
+      index: Joi.number().integer().min(0).optional()
+    }),
+    otherwise: patchOperation
+  })).min(1),
+
+  cardDeleteQuery: Joi.object({
+    cascade: Joi.boolean().default(false)
+  }),
+
+  bundle: Joi.object({
+    format: Joi.string().valid('projector-bundle').required(),
+    version: Joi.number().valid(1).required(),
+    exportedAt: Joi.string().isoDate().optional(),
+    profile: Joi.object({ id: Joi.string().pattern(ID_PATTERN).required() }).unknown(true).required(),
+    cards: Joi.array().items(Joi.object({ id: Joi.string().pattern(ID_PATTERN).required() }).unknown(true)).default([])
+  }),
+
+  importQuery: Joi.object({
+    onConflict: Joi.string().valid('rename', 'overwrite', 'skip').optional(),
+    dryRun: Joi.boolean().default(false)
+  }),
+
+  auditQuery: Joi.object({
+    kind: Joi.string().valid(...auditLog.KINDS).optional(),
+    action: Joi.string().optional(),
+    entityId: Joi.string().optional(),
+    actor: Joi.string().optional(),
+    screenId: Joi.string().optional(),
+    since: Joi.date().iso().optional(),
+    until: Joi.date().iso().optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50)
+  }),
+
+  // Snapshot size defaults to the screen's resolution
+  renderQuery: Joi.object({
+    width: Joi.number().integer().min(64).max(3840).optional(),
+    height: Joi.number().integer().min(64).max(2160).optional(),
+    refresh: Joi.number().integer().min(5).optional()
+  }),
+
+  revisionDiff: Joi.object({
+    from: Joi.number().integer().min(1).required(),
+    to: Joi.number().integer().min(1).optional()
+  }),
+
+  listQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    sort: Joi.string().valid('updatedAt', 'name').default('updatedAt'),
+    order: Joi.string().valid('asc', 'desc').default('desc'),
+    type: Joi.string().optional(),
+    q: Joi.string().allow('').optional()
   })
 };
 
+// API keys are stored as SHA-256 hashes in apiKeys.json; the plaintext is
+// only returned once, when the key is created. Until the first key exists
+// the API stays open so it can be bootstrapped.
+
+const auth = {
+  async readKeys() {
+    const store = await storage.read('apiKeys.json', { keys: [] });
+    return store.keys;
+  },
+
+  async writeKeys(keys) {
+    await storage.write('apiKeys.json', { keys });
+  },
+
+  hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  },
+
+  generate() {
+    return `pk_${crypto.randomBytes(24).toString('base64url')}`;
+  },
+
+  // Bearer token, X-API-Key, or ?access_token= for EventSource clients
+  // that cannot set headers
+  extractToken(req) {
+    const header = req.get('Authorization');
+    if (header && header.startsWith('Bearer ')) {
+      return header.slice('Bearer '.length).trim();
+    }
+    return req.get('X-API-Key') || req.query.access_token || null;
+  },
+
+  // Baseline role for every route: reads and card actions need display,
+  // everything else needs editor. Routes that need more (key management)
+  // add requireRole, since matching paths here would have to mirror
+  // Express's case-insensitive routing exactly.
+  requiredRole(req) {
+    if (req.method === 'POST' && /^\/api\/cards\/[^/]+\/actions\/[^/]+$/i.test(req.path)) {
+      return 'display';
+    }
+    return ['GET', 'HEAD'].includes(req.method) ? 'display' : 'editor';
+  },
+
+  hasRole(key, role) {
+    return ROLES.indexOf(key.role) >= ROLES.indexOf(role);
+  },
+
+  async authenticate(req) {
+    const token = this.extractToken(req);
+    if (!token) {
+      return null;
+    }
+
+    const digest = Buffer.from(this.hash(token), 'hex');
+    const keys = await this.readKeys();
+    return keys.find(key => crypto.timingSafeEqual(Buffer.from(key.hash, 'hex'), digest)) || null;
+  },
+
+  middleware() {
+    return handleAsync(async (req, res, next) => {
+      const keys = await auth.readKeys();
+      if (keys.length === 0) {
+        req.auth = null;
+        return next();
+      }
+
+      const key = await auth.authenticate(req);
+      if (!key) {
+        return res.status(401).json({ error: 'Valid API key required' });
+      }
+
+      const role = auth.requiredRole(req);
+      if (!auth.hasRole(key, role)) {
+        return res.status(403).json({ error: `Requires ${role} role` });
+      }
+
+      req.auth = { id: key.id, name: key.name, role: key.role };
+      next();
+    });
+  },
+
+  // Route-level check on top of middleware(). While no keys exist the API
+  // is open, so req.auth is null and the check passes.
+  requireRole(role) {
+    return (req, res, next) => {
+      if (req.auth && !auth.hasRole(req.auth, role)) {
+        return res.status(403).json({ error: `Requires ${role} role` });
+      }
+      next();
+    };
+  },
+
+  publicKey({ hash, ...key }) {
+    return key;
+  }
+};
+
 function handleAsync(fn) {
   return (req, res, next) => {
     Promise.resolve(fn(req, res, next)).catch(error => {
@@ -137,12 +442,10 @@ function handleAsync(fn) {
   };
 }
 
-async function transformProfileForUI(profile) {
-  const gridConfig = {
-    columns: "400px 1fr 400px",
-    rows: "1fr",
-    areas: [["left", "center", "right"]]
-  };
+// `embeddedCards` are looked up before stored cards, for templates that carry
+// their own
+async function transformProfileForUI(profile, embeddedCards = []) {
+  const { gridConfig, placements } = gridLayout.resolve(profile);
 
   const zones = await Promise.all(
     Object.entries(profile.zones).map(async ([zoneId, zoneData]) => {
@@ -150,7 +453,11 @@ async function transformProfileForUI(profile) {
       const cards = await Promise.all(
         cardIds.map(async (cardId) => {
           try {
-            const card = await fileStorage.readFile(`card-${cardId}.json`, null);
+            const card = embeddedCards.find(embedded => embedded.id === cardId) ||
+              await storage.read(`card-${cardId}.json`, null);
+            if (!card) {
+              logger.warn('Profile references missing card', { profileId: profile.id, zone: zoneId, cardId });
+            }
             return card;
           } catch (error) {
             logger.warn(`Failed to load card ${cardId}:`, error);
@@ -159,11 +466,17 @@ async function transformProfileForUI(profile) {
         })
       );
 
+      const loaded = cards.filter(card => card !== null);
+      
       return {
         id: zoneId,
-        name: zoneId.charAt(0).toUpperCase() + zoneId.slice(1) + " Zone",
+        name: zoneData.name || zoneId.charAt(0).toUpperCase() + zoneId.slice(1) + " Zone",
         gridArea: zoneId,
-        cards: cards.filter(card => card !== null)
+        position: placements[zoneId],
+        width: zoneData.width,
+        height: zoneData.height,
+        cards: loaded,
+        rotation: zoneRotation.timeline(zoneData.rotation, loaded.map(card => card.id), profile.updatedAt)
       };
     })
   );
@@ -176,336 +489,2074 @@ async function transformProfileForUI(profile) {
   };
 }
 
-function createDefaultProfile() {
-  return {
-    id: "default-profile",
-    name: "Default Dashboard",
-    zones: {
-      left: {
-        width: 320,
-        height: 600,
-        cards: ["welcome-card", "status-card"]
-      },
-      center: {
-        width: 800,
-        height: 600,
-        cards: ["main-info-card", "activity-card"]
-      },
-      right: {
-        width: 280,
-        height: 600,
-        cards: ["quick-stats-card", "notifications-card"]
-      }
-    }
-  };
+// Stored documents carry a server-assigned updatedAt that clients can't
+// send, so it has to go before re-validating them
+function clientFields({ updatedAt, ...document }) {
+  return document;
 }
 
-function getDefaultProfileForUI() {
-  return {
-    id: "default-profile",
-    name: "Default Dashboard",
-    gridConfig: {
-      columns: "400px 1fr 400px",
-      rows: "1fr",
-      areas: [["left", "center", "right"]]
-    },
-    zones: [
-      {
-        id: "left",
-        name: "Sidebar",
-        gridArea: "left",
-        cards: [
-          {
-            id: "welcome-card",
-            type: "text",
-            config: {
-              title: "Welcome to Projector",
-              content: "This is your dashboard. You can customize zones and add various card types to display different information.",
-              backgroundColor: "#f8f9fa",
-              textColor: "#333"
-            }
-          },
-          {
-            id: "transit-card",
-            type: "transit",
-            config: {
-              title: "CTA Transit",
-              content: "Loading transit data...",
-              backgroundColor: "#fff3cd"
-            }
-          }
-        ]
-      },
-      {
-        id: "center",
-        name: "Main Content",
-        gridArea: "center",
-        cards: [
-          {
-            id: "events-card",
-            type: "events",
-            config: {
-              title: "Calendar Events",
-              content: "Loading events...",
-              backgroundColor: "#d1ecf1"
-            }
-          },
-          {
-            id: "activity-card",
-            type: "text",
-            config: {
-              title: "Recent Activity",
-              content: "• Profile created successfully\\n• Dashboard initialized\\n• Sample cards loaded\\n• System ready for customization",
-              backgroundColor: "#f8f9fa"
-            }
-          }
-        ]
-      },
-      {
-        id: "right",
-        name: "Right Sidebar",
-        gridArea: "right", 
-        cards: [
-          {
-            id: "tasks-card",
-            type: "tasks",
-            config: {
-              title: "Habitica Tasks",
-              content: "Loading tasks...",
-              backgroundColor: "#d4edda"
-            }
-          },
-          {
-            id: "notifications-card",
-            type: "status",
-            config: {
-              title: "Notifications",
-              items: [
-                { label: "Welcome!", status: "new", color: "blue" },
-                { label: "Setup Complete", status: "success", color: "green" }
-              ]
-            }
-          }
-        ]
-      }
-    ]
-  };
+// Strong ETag over a stored document's content
+function etagFor(document) {
+  return `"${crypto.createHash('sha1').update(JSON.stringify(document)).digest('hex')}"`;
 }
 
-async function populateCardsWithData(profile) {
+// If-Match of "*" only needs the document to exist; otherwise one of the
+// listed tags must be the current ETag. No header means no precondition.
+function ifMatchFails(req, current) {
+  const header = req.get('If-Match');
+  if (!header) {
+    return false;
+  }
+  if (!current) {
+    return true;
+  }
+  if (header.trim() === '*') {
+    return false;
+  }
+  return !header.split(',').map(tag => tag.trim()).includes(etagFor(current));
+}
+
+function preconditionFailed(res, current) {
+  const etag = current ? etagFor(current) : null;
+  if (etag) {
+    res.set('ETag', etag);
+  }
+  return res.status(412).json({ error: 'Precondition failed: resource has changed', etag });
+}
+
+function actor(req) {
+  return req.auth ? req.auth.name : 'anonymous';
+}
+
+// Appends a change made by this request to the audit log. The change itself
+// is already stored by then, so a failure is logged rather than failing the
+// request.
+async function audit(req, change) {
   try {
-    const ctaData = await ctaapiService.getAllCardData();
-    
-    // Create a deep copy of the profile to avoid modifying the original
-    const populatedProfile = JSON.parse(JSON.stringify(profile));
-    
-    // Populate cards with real data based on their type
-    populatedProfile.zones.forEach(zone => {
-      zone.cards.forEach(card => {
-        switch (card.type) {
-          case 'transit':
-            if (ctaData.transit) {
-              card.config = {
-                ...card.config,
-                title: ctaData.transit.title,
-                subtitle: ctaData.transit.subtitle,
-                items: ctaData.transit.items,
-                lastUpdated: ctaData.transit.lastUpdated,
-                backgroundColor: "#fff3cd"
-              };
-            }
-            break;
-          
-          case 'events':
-            if (ctaData.events) {
-              card.config = {
-                ...card.config,
-                title: ctaData.events.title,
-                subtitle: ctaData.events.subtitle,
-                items: ctaData.events.items,
-                lastUpdated: ctaData.events.lastUpdated,
-                backgroundColor: "#d1ecf1"
-              };
-            }
-            break;
-          
-          case 'tasks':
-            if (ctaData.tasks) {
-              card.config = {
-                ...card.config,
-                title: ctaData.tasks.title,
-                subtitle: ctaData.tasks.subtitle,
-                items: ctaData.tasks.items,
-                lastUpdated: ctaData.tasks.lastUpdated,
-                backgroundColor: "#d4edda"
-              };
-            }
-            break;
-        }
-      });
-    });
-    
-    return populatedProfile;
+    return await auditLog.record({ ...change, actor: actor(req), ip: req.ip });
   } catch (error) {
-    logger.error('Error populating cards with data:', error);
-    return profile; // Return original profile if population fails
+    logger.error('Failed to record audit entry', { kind: change.kind, entityId: change.entityId, action: change.action, error: error.message });
+    return null;
   }
 }
 
-app.get('/api/profile/active', handleAsync(async (req, res) => {
-  const active = await fileStorage.readFile('activeProfile.json', null);
+function unprocessable(message) {
+  const error = new Error(message);
+  error.statusCode = 422;
+  return error;
+}
+
+// Expands { op: 'moveCard', cardId, from?, to, index? } into a JSON Patch
+// move between zone card lists. Without `from` the card is looked up in every
+// zone; without `index` it goes to the end of the target zone.
+function moveCardOperation(profile, operation) {
+  if (operation.op !== 'moveCard') {
+    return operation;
+  }
   
-  let baseProfile;
+  const { cardId, from, to, index } = operation;
+  const zones = profile.zones || {};
+  const source = from || Object.keys(zones).find(zoneId => (zones[zoneId].cards || []).includes(cardId));
+  if (!source) {
+    throw unprocessable(`Card "${cardId}" is not in any zone`);
+  }
+  if (!zones[source]) {
+    throw unprocessable(`Zone "${source}" does not exist`);
+  }
+  if (!zones[to]) {
+    throw unprocessable(`Zone "${to}" does not exist`);
+  }
   
-  if (!active) {
-    logger.info('No active profile set, using default profile');
-    baseProfile = getDefaultProfileForUI();
-  } else {
-    const profile = await fileStorage.readFile(`profile-${active.profileId}.json`, null);
-    if (!profile) {
-      logger.warn('Active profile not found, using default profile', { profileId: active.profileId });
-      baseProfile = getDefaultProfileForUI();
-    } else {
-      baseProfile = await transformProfileForUI(profile);
-    }
+  const position = (zones[source].cards || []).indexOf(cardId);
+  if (position === -1) {
+    throw unprocessable(`Card "${cardId}" is not in zone "${source}"`);
   }
   
-  // Populate cards with real data from CTAAAPI
-  const populatedProfile = await populateCardsWithData(baseProfile);
-  res.json(populatedProfile);
-}));
+  return {
+    op: 'move',
+    from: `/zones/${jsonDiff.escapePointer(source)}/cards/${position}`,
+    path: `/zones/${jsonDiff.escapePointer(to)}/cards/${index === undefined ? '-' : index}`
+  };
+}
 
-app.get('/display/activeProfile', handleAsync(async (req, res) => {
-  const active = await fileStorage.readFile('activeProfile.json', null);
-  if (!active) {
-    return res.status(404).json({ error: 'No active profile set' });
+// Applies the request's merge patch or JSON Patch to `document`. Returns
+// { value } with the patched document, or { status, error, headers } to
+// send back when the patch can't be applied.
+function patchDocument(req, document, schema, expand = (current, operation) => operation) {
+  const contentType = Object.keys(PATCH_FORMATS).find(type => req.is(type));
+  if (!contentType) {
+    return {
+      status: 415,
+      error: `PATCH requires one of: ${Object.keys(PATCH_FORMATS).join(', ')}`,
+      headers: { 'Accept-Patch': Object.keys(PATCH_FORMATS).join(', ') }
+    };
   }
   
-  const profile = await fileStorage.readFile(`profile-${active.profileId}.json`, null);
-  if (!profile) {
-    return res.status(404).json({ error: 'Active profile not found' });
+  let patched;
+  try {
+    if (PATCH_FORMATS[contentType] === 'merge') {
+      if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        return { status: 400, error: 'Merge patch must be a JSON object' };
+      }
+      patched = jsonPatch.merge(document, req.body);
+    } else {
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return { status: 400, error: error.details[0].message };
+      }
+      patched = value.reduce((current, operation) => jsonPatch.apply(current, [expand(current, operation)]), document);
+    }
+  } catch (patchError) {
+    return { status: patchError.statusCode || 400, error: patchError.message };
   }
   
-  res.json({ ...active, profile });
-}));
+  // A patch can replace the whole document ("path": "")
+  if (!patched || typeof patched !== 'object' || Array.isArray(patched)) {
+    return { status: 400, error: 'Patched document must be a JSON object' };
+  }
+  return { value: patched };
+}
 
-app.put('/display/activeProfile', handleAsync(async (req, res) => {
-  const { error, value } = validation.activeProfile.validate(req.body);
-  if (error) {
-    return res.status(400).json({ error: error.details[0].message });
+// Every save of a profile or card appends a revision to
+// revisions-<kind>-<id>.json, keeping the newest MAX_REVISIONS. Deleted
+// entities move to trash-<kind>-<id>.json until restored or purged.
+const history = {
+  async revisions(kind, id) {
+    const store = await storage.read(`revisions-${kind}-${id}.json`, { revisions: [] });
+    return store.revisions;
+  },
+
+  async revision(kind, id, rev) {
+    const revisions = await this.revisions(kind, id);
+    return revisions.find(revision => revision.rev === rev) || null;
+  },
+
+  // Also audits the change. `before` defaults to the previous revision.
+  // Documents saved before history existed have none, so their first
+  // recorded change is preceded by a seed revision holding `before`, which
+  // keeps the pre-change state restorable.
+  async record(kind, id, data, req, action, before) {
+    const { revision, previous } = await storage.withLock(`revisions-${kind}-${id}.json`, async () => {
+      const revisions = await this.revisions(kind, id);
+      if (revisions.length === 0 && before) {
+        revisions.push({
+          rev: 1,
+          timestamp: before.updatedAt || new Date().toISOString(),
+          author: null,
+          action: 'seed',
+          data: before
+        });
+      }
+      const last = revisions[revisions.length - 1];
+      const revision = {
+        rev: last ? last.rev + 1 : 1,
+        timestamp: new Date().toISOString(),
+        author: actor(req),
+        action,
+        data
+      };
+
+      await storage.write(`revisions-${kind}-${id}.json`, {
+        revisions: [...revisions, revision].slice(-MAX_REVISIONS)
+      });
+      return { revision, previous: last ? last.data : null };
+    });
+
+    await audit(req, { action, kind, entityId: id, before: before === undefined ? previous : before, after: data });
+    return revision;
+  },
+
+  async trash(kind, id, data, req) {
+    await storage.write(`trash-${kind}-${id}.json`, {
+      kind,
+      id,
+      deletedAt: new Date().toISOString(),
+      deletedBy: actor(req),
+      data
+    });
+    await this.record(kind, id, null, req, 'delete', data);
+  },
+
+  summary({ data, ...revision }) {
+    return revision;
   }
-  
-  const profile = await fileStorage.readFile(`profile-${value.profileId}.json`, null);
-  if (!profile) {
-    return res.status(404).json({ error: 'Profile not found' });
+};
+
+// Card references between profiles and cards
+const references = {
+  // { zoneId: [cardId, ...] } for a stored profile
+  zoneCards(profile) {
+    const zones = {};
+    Object.entries(profile.zones || {}).forEach(([zoneId, zone]) => {
+      zones[zoneId] = (zone && zone.cards) || [];
+    });
+    return zones;
+  },
+
+  async missingCards(profile) {
+    const missing = [];
+    await Promise.all(Object.entries(this.zoneCards(profile)).map(async ([zoneId, cardIds]) => {
+      await Promise.all(cardIds.map(async (cardId) => {
+        const card = await storage.read(`card-${cardId}.json`, null);
+        if (!card) {
+          missing.push({ zone: zoneId, cardId });
+        }
+      }));
+    }));
+    return missing;
+  },
+
+  // Profiles whose zones reference cardId, with the zones it appears in
+  async cardUsage(cardId, profiles) {
+    const candidates = profiles || await storage.readAll('profile-');
+    return candidates
+      .map(profile => ({
+        profileId: profile.id,
+        name: profile.name,
+        zones: Object.entries(this.zoneCards(profile))
+          .filter(([, cardIds]) => cardIds.includes(cardId))
+          .map(([zoneId]) => zoneId)
+      }))
+      .filter(usage => usage.zones.length > 0);
   }
-  
-  const activeProfile = {
-    profileId: value.profileId,
-    updatedAt: new Date().toISOString()
-  };
-  
-  await fileStorage.writeFile('activeProfile.json', activeProfile);
-  logger.info('Active profile updated', { profileId: value.profileId });
-  
-  res.json({ ...activeProfile, profile });
-}));
+};
 
-app.get('/display/profiles/:id', handleAsync(async (req, res) => {
-  const profile = await fileStorage.readFile(`profile-${req.params.id}.json`, null);
-  if (!profile) {
-    return res.status(404).json({ error: 'Profile not found' });
+// Sorts, filters and pages a collection for the list routes. `getName` gives
+// the title used for both name sorting and text search.
+function paginate(items, query, getName) {
+  let results = items;
+
+  if (query.type) {
+    results = results.filter(item => item.type === query.type);
   }
-  res.json(profile);
-}));
 
-app.put('/display/profiles/:id', handleAsync(async (req, res) => {
-  const { error, value } = validation.profile.validate(req.body);
-  if (error) {
-    return res.status(400).json({ error: error.details[0].message });
+  if (query.q) {
+    const needle = query.q.toLowerCase();
+    results = results.filter(item => (getName(item) || '').toLowerCase().includes(needle));
   }
-  
-  const profile = {
-    ...value,
-    id: req.params.id,
-    updatedAt: new Date().toISOString()
+
+  const direction = query.order === 'asc' ? 1 : -1;
+  results = [...results].sort((a, b) => {
+    const left = query.sort === 'name' ? (getName(a) || '').toLowerCase() : (a.updatedAt || '');
+    const right = query.sort === 'name' ? (getName(b) || '').toLowerCase() : (b.updatedAt || '');
+    if (left === right) {
+      return a.id < b.id ? -1 : 1;
+    }
+    return left < right ? -direction : direction;
+  });
+
+  const total = results.length;
+  const start = (query.page - 1) * query.limit;
+
+  return {
+    items: results.slice(start, start + query.limit),
+    total,
+    page: query.page,
+    limit: query.limit,
+    totalPages: Math.ceil(total / query.limit)
   };
-  
-  await fileStorage.writeFile(`profile-${req.params.id}.json`, profile);
-  logger.info('Profile saved', { id: req.params.id, name: profile.name });
-  
-  res.json(profile);
-}));
+}
 
-app.delete('/display/profiles/:id', handleAsync(async (req, res) => {
-  const profile = await fileStorage.readFile(`profile-${req.params.id}.json`, null);
-  if (!profile) {
-    return res.status(404).json({ error: 'Profile not found' });
+// Profiles as screens see them, with any `extends` chain merged in
+function resolveProfile(profile) {
+  return profileInheritance.resolve(profile, id => storage.read(`profile-${id}.json`, null));
+}
+
+// Checks a profile as it will be displayed, merged with its bases. Returns
+// { error } when it can't be used, otherwise its dangling card references.
+async function checkProfile(id, value) {
+  let resolved;
+  try {
+    resolved = await resolveProfile({ ...value, id });
+  } catch (error) {
+    return { error: error.message };
   }
   
-  const active = await fileStorage.readFile('activeProfile.json', null);
-  if (active && active.profileId === req.params.id) {
-    return res.status(400).json({ error: 'Cannot delete active profile' });
+  if (value.extends) {
+    const { error } = validation.profile.validate(clientFields(resolved));
+    if (error) {
+      return { error: `Profile merged with its base is invalid: ${error.details[0].message}` };
+    }
   }
   
-  await fileStorage.deleteFile(`profile-${req.params.id}.json`);
-  logger.info('Profile deleted', { id: req.params.id });
-  
-  res.status(204).send();
+  return { missingCards: await references.missingCards(resolved) };
+}
+
+// Templates are profile layouts that carry the cards they place, stored as
+// template-<id>.json. Embedded cards only become stored cards when a profile
+// is created from the template.
+const templates = {
+  read(id) {
+    return storage.read(`template-${id}.json`, null);
+  },
+
+  async ensureDefault() {
+    await storage.withLock(`template-${DEFAULT_TEMPLATE_ID}.json`, async () => {
+      if (!await this.read(DEFAULT_TEMPLATE_ID)) {
+        await storage.write(`template-${DEFAULT_TEMPLATE_ID}.json`, { ...defaultTemplate, updatedAt: new Date().toISOString() });
+        logger.info('Default template created', { id: DEFAULT_TEMPLATE_ID });
+      }
+    });
+  },
+
+  // Returns { value }, or { error, missingCards? }
+  async validate(body) {
+    const { error, value } = validation.template.validate(body);
+    if (error) {
+      return { error: error.details[0].message };
+    }
+    
+    const { description, cards, ...layout } = value;
+    if (layout.extends) {
+      return { error: 'Templates cannot extend a profile' };
+    }
+    const { error: layoutError, value: profile } = validation.profile.validate(layout);
+    if (layoutError) {
+      return { error: layoutError.details[0].message };
+    }
+    
+    const embedded = [];
+    for (const card of cards) {
+      const { error: cardError, value: cardValue } = validation.card.validate(clientFields(card));
+      if (cardError) {
+        return { error: `Card ${card.id}: ${cardError.details[0].message}` };
+      }
+      const providerError = providerRegistry.validateCard(cardValue);
+      if (providerError) {
+        return { error: `Card ${card.id}: ${providerError}` };
+      }
+      embedded.push(cardValue);
+    }
+    
+    const embeddedIds = new Set(embedded.map(card => card.id));
+    const missingCards = (await references.missingCards(profile)).filter(({ cardId }) => !embeddedIds.has(cardId));
+    if (missingCards.length > 0) {
+      return { error: 'Template references cards it neither contains nor finds in storage', missingCards };
+    }
+    
+    return { value: { ...profile, description, cards: embedded } };
+  },
+
+  // What screens without an active profile show
+  async renderDefault() {
+    const { description, cards, ...layout } = await this.read(DEFAULT_TEMPLATE_ID) || defaultTemplate;
+    return transformProfileForUI(layout, cards);
+  }
+};
+
+// Stored data coming back through a restore gets the same checks as a save:
+// schema, card providers and card references. Returns { value }, or
+// { error, missingCards? }
+async function validateEntity(kind, id, data) {
+  const document = clientFields(data);
+  if (kind === 'template') {
+    return templates.validate(document);
+  }
+  
+  const { error, value } = (kind === 'card' ? validation.card : validation.profile).validate(document);
+  if (error) {
+    return { error: error.details[0].message };
+  }
+  if (kind === 'card') {
+    const providerError = providerRegistry.validateCard(value);
+    return providerError ? { error: providerError } : { value };
+  }
+  
+  const { error: profileError, missingCards } = await checkProfile(id, value);
+  if (profileError) {
+    return { error: profileError };
+  }
+  if (missingCards.length > 0) {
+    return { error: 'Profile references cards that do not exist', missingCards };
+  }
+  return { value };
+}
+
+async function populateCardsWithData(profile) {
+  try {
+    // Create a deep copy of the profile to avoid modifying the original
+    const populatedProfile = JSON.parse(JSON.stringify(profile));
+    
+    // Let each card's data provider fill in live data, fetching only the
+    // sources the cards on this profile actually use
+    const cards = populatedProfile.zones.flatMap(zone => zone.cards);
+    const populated = await providerRegistry.populateCards(cards);
+    
+    let index = 0;
+    populatedProfile.zones.forEach(zone => {
+      zone.cards = zone.cards.map(() => populated[index++]);
+    });
+    
+    return populatedProfile;
+  } catch (error) {
+    logger.error('Error populating cards with data:', error);
+    return profile; // Return original profile if population fails
+  }
+}
+
+// The default screen's active profile still lives in activeProfile.json
+function activeProfileFile(screenId) {
+  return screenId === DEFAULT_SCREEN_ID ? 'activeProfile.json' : `activeProfile-${screenId}.json`;
+}
+
+// What /display/activeProfile sends: the stored pointer with its profile
+// inlined (null if that profile is gone). ETags are taken over this, so
+// editing the profile changes them too.
+async function activeProfileBody(active) {
+  if (!active) {
+    return null;
+  }
+  const profile = await storage.read(`profile-${active.profileId}.json`, null);
+  return { ...active, profile };
+}
+
+// The default screen exists even before anyone registers it
+async function readScreen(screenId) {
+  const screen = await storage.read(`screen-${screenId}.json`, null);
+  if (screen || screenId !== DEFAULT_SCREEN_ID) {
+    return screen;
+  }
+  return { id: DEFAULT_SCREEN_ID, name: 'Default Screen', resolution: null, metadata: {} };
+}
+
+async function readScreens() {
+  const screens = await storage.readAll('screen-');
+  if (!screens.some(screen => screen.id === DEFAULT_SCREEN_ID)) {
+    screens.unshift(await readScreen(DEFAULT_SCREEN_ID));
+  }
+  return screens;
+}
+
+// Screens whose manually chosen active profile is profileId
+async function screensUsingProfile(profileId) {
+  const screens = await readScreens();
+  const active = await Promise.all(
+    screens.map(screen => storage.read(activeProfileFile(screen.id), null))
+  );
+  return screens.filter((screen, index) => active[index] && active[index].profileId === profileId);
+}
+
+// The schedule (override first, then rules) decides the active profile;
+// the screen's activeProfile file is the fallback when no rule applies
+async function resolveActiveProfile(screenId = DEFAULT_SCREEN_ID, at = new Date()) {
+  const scheduled = profileSchedule.resolve(await readSchedule(), at, screenId);
+  if (scheduled) {
+    return scheduled;
+  }
+  
+  const active = await storage.read(activeProfileFile(screenId), null);
+  if (active) {
+    return { profileId: active.profileId, reason: 'manual' };
+  }
+  return { profileId: null, reason: 'default' };
+}
+
+// A stored profile as displays see it: resolved against its bases and
+// populated with live data
+async function buildProfile(profile) {
+  return populateCardsWithData(await transformProfileForUI(await resolveProfile(profile)));
+}
+
+async function buildActiveProfile(screenId = DEFAULT_SCREEN_ID) {
+  const active = await resolveActiveProfile(screenId);
+  
+  if (!active.profileId) {
+    logger.info('No active profile set, using default template', { screenId });
+    return populateCardsWithData(await templates.renderDefault());
+  }
+  
+  const profile = await storage.read(`profile-${active.profileId}.json`, null);
+  if (!profile) {
+    logger.warn('Active profile not found, using default template', { screenId, profileId: active.profileId, reason: active.reason });
+    return populateCardsWithData(await templates.renderDefault());
+  }
+  
+  try {
+    return await buildProfile(profile);
+  } catch (error) {
+    logger.warn('Active profile cannot be resolved, using default template', { screenId, profileId: active.profileId, message: error.message });
+    return populateCardsWithData(await templates.renderDefault());
+  }
+}
+
+// Pushes the populated active profile to connected displays over SSE, with
+// one channel per screen. Every push carries an id derived from the
+// payload, so a reconnecting EventSource that sends Last-Event-ID only gets
+// a profile if it changed.
+const profileStream = {
+  channels: new Map(),
+  heartbeatTimer: null,
+  refreshTimer: null,
+
+  init() {
+    ctaapiService.on('update', (source) => this.notify(`upstream:${source}`));
+  },
+
+  channel(screenId) {
+    if (!this.channels.has(screenId)) {
+      this.channels.set(screenId, {
+        screenId,
+        clients: new Set(),
+        current: null,
+        refreshing: null,
+        refreshQueued: false,
+        rotationTimer: null
+      });
+    }
+    return this.channels.get(screenId);
+  },
+
+  clientCount() {
+    let count = 0;
+    this.channels.forEach(channel => {
+      count += channel.clients.size;
+    });
+    return count;
+  },
+
+  async connect(req, res, screenId) {
+    const channel = this.channel(screenId);
+    let closed = false;
+    req.on('close', () => {
+      closed = true;
+      channel.clients.delete(res);
+      if (channel.clients.size === 0) {
+        clearTimeout(channel.rotationTimer);
+        this.channels.delete(screenId);
+      }
+      if (this.clientCount() === 0) {
+        this.stopTimers();
+      }
+    });
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${STREAM_RETRY_INTERVAL}\n\n`);
+
+    await this.refresh(channel, 'connect');
+    if (closed) {
+      return;
+    }
+
+    channel.clients.add(res);
+    this.channels.set(screenId, channel);
+    this.startTimers();
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (channel.current && channel.current.id !== lastEventId) {
+      this.write(res, channel.current);
+    }
+    if (channel.current) {
+      this.write(res, this.rotationMessage(channel));
+    }
+    this.scheduleRotation(channel);
+    logger.info('Profile stream client connected', { screenId, clients: channel.clients.size, resumed: Boolean(lastEventId) });
+  },
+
+  write(res, { id, event, data }) {
+    let message = '';
+    if (id) {
+      message += `id: ${id}\n`;
+    }
+    message += `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    res.write(message);
+  },
+
+  broadcast(channel, message) {
+    channel.clients.forEach(res => this.write(res, message));
+  },
+
+  notify(reason) {
+    this.channels.forEach(channel => this.refresh(channel, reason));
+  },
+
+  // Coalesces bursts of changes into a single rebuild at a time
+  async refresh(channel, reason) {
+    if (channel.refreshing) {
+      channel.refreshQueued = true;
+      return channel.refreshing;
+    }
+
+    channel.refreshing = (async () => {
+      try {
+        const profile = await buildActiveProfile(channel.screenId);
+        const id = crypto.createHash('sha1').update(JSON.stringify(profile)).digest('hex');
+        if (!channel.current || channel.current.id !== id) {
+          channel.current = { id, event: 'profile', data: profile };
+          this.broadcast(channel, channel.current);
+          this.broadcast(channel, this.rotationMessage(channel));
+          this.scheduleRotation(channel);
+          logger.info('Profile stream updated', { screenId: channel.screenId, reason, clients: channel.clients.size });
+        }
+      } catch (error) {
+        logger.error('Error refreshing profile stream:', { screenId: channel.screenId, reason, message: error.message });
+      }
+    })();
+
+    try {
+      await channel.refreshing;
+    } finally {
+      channel.refreshing = null;
+    }
+
+    if (channel.refreshQueued) {
+      channel.refreshQueued = false;
+      await this.refresh(channel, 'queued');
+    }
+  },
+
+  rotationMessage(channel, at = new Date()) {
+    return {
+      event: 'rotation',
+      data: { serverTime: at.toISOString(), zones: zoneRotation.positions(channel.current.data, at) }
+    };
+  },
+
+  // Ticks each channel at its next carousel step so screens showing the same
+  // profile advance together instead of on their own timers
+  scheduleRotation(channel, at = new Date()) {
+    clearTimeout(channel.rotationTimer);
+    channel.rotationTimer = null;
+    if (!channel.current || channel.clients.size === 0) {
+      return;
+    }
+
+    const next = Object.values(zoneRotation.positions(channel.current.data, at))
+      .map(position => Date.parse(position.nextChangeAt))
+      .reduce((earliest, time) => Math.min(earliest, time), Infinity);
+    if (next === Infinity) {
+      return;
+    }
+
+    channel.rotationTimer = setTimeout(() => {
+      this.broadcast(channel, this.rotationMessage(channel, new Date(next)));
+      this.scheduleRotation(channel, new Date(next));
+    }, Math.max(next - Date.now(), 0));
+  },
+
+  startTimers() {
+    if (!this.heartbeatTimer) {
+      this.heartbeatTimer = setInterval(() => {
+        const heartbeat = { event: 'heartbeat', data: { serverTime: new Date().toISOString() } };
+        this.channels.forEach(channel => this.broadcast(channel, heartbeat));
+      }, STREAM_HEARTBEAT_INTERVAL);
+    }
+    // Upstream data and schedules only change when someone asks, so keep
+    // asking while displays are listening
+    if (!this.refreshTimer) {
+      this.refreshTimer = setInterval(() => this.notify('interval'), STREAM_REFRESH_INTERVAL);
+    }
+  },
+
+  stopTimers() {
+    clearInterval(this.heartbeatTimer);
+    clearInterval(this.refreshTimer);
+    this.heartbeatTimer = null;
+    this.refreshTimer = null;
+  }
+};
+
+app.use(auth.middleware());
+
+// Route ids become storage keys, so they must be plain names
+['id', 'screenId'].forEach(name => {
+  app.param(name, (req, res, next, value) => {
+    if (!ID_PATTERN.test(value)) {
+      return res.status(400).json({ error: `"${name}" must only contain letters, digits, "_" and "-"` });
+    }
+    next();
+  });
+});
+
+// Resolves :screenId (or the default screen on legacy routes) to
+// req.screen, answering 404 for unregistered screens
+function withScreen(fn) {
+  return handleAsync(async (req, res, next) => {
+    const screen = await readScreen(req.params.screenId || DEFAULT_SCREEN_ID);
+    if (!screen) {
+      return res.status(404).json({ error: 'Screen not found' });
+    }
+    req.screen = screen;
+    return fn(req, res, next);
+  });
+}
+
+app.get(['/api/profile/active', '/api/screens/:screenId/profile/active'], withScreen(async (req, res) => {
+  const populatedProfile = await buildActiveProfile(req.screen.id);
+  res.set('ETag', etagFor(populatedProfile));
+  res.json(populatedProfile);
+}));
+
+app.get(['/api/profile/active/rotation', '/api/screens/:screenId/profile/active/rotation'], withScreen(async (req, res) => {
+  const profile = await buildActiveProfile(req.screen.id);
+  const at = new Date();
+  res.json({
+    serverTime: at.toISOString(),
+    profileId: profile.id,
+    zones: zoneRotation.positions(profile, at)
+  });
+}));
+
+// Renders a built profile as HTML or PNG at the requested size, falling
+// back to the screen's resolution and then 1920x1080
+async function sendSnapshot(req, res, profile, format, screen) {
+  const { error, value } = validation.renderQuery.validate(req.query);
+  if (error) {
+    res.status(400).json({ error: error.details[0].message });
+    return;
+  }
+  
+  const resolution = (screen && screen.resolution) || { width: 1920, height: 1080 };
+  const options = {
+    width: Math.min(value.width || resolution.width, 3840),
+    height: Math.min(value.height || resolution.height, 2160),
+    refresh: value.refresh,
+    at: new Date()
+  };
+  
+  res.set('Cache-Control', 'no-cache');
+  if (format === 'png') {
+    let image;
+    try {
+      image = await render.png(profile, options);
+    } catch (renderError) {
+      if (renderError.statusCode !== 503) {
+        throw renderError;
+      }
+      res.set('Retry-After', '5');
+      res.status(503).json({ error: renderError.message });
+      return;
+    }
+    res.type('image/png').send(image);
+  } else {
+    res.type('text/html; charset=utf-8').send(render.html(profile, options));
+  }
+}
+
+app.get(['/api/profile/active/snapshot.:format(html|png)', '/api/screens/:screenId/profile/active/snapshot.:format(html|png)'], withScreen(async (req, res) => {
+  const profile = await buildActiveProfile(req.screen.id);
+  await sendSnapshot(req, res, profile, req.params.format, req.screen);
+}));
+
+app.get(['/api/profile/active/stream', '/api/screens/:screenId/profile/active/stream'], withScreen(async (req, res) => {
+  await profileStream.connect(req, res, req.screen.id);
+}));
+
+// Cards embedded in the default template aren't in storage, but screens
+// without an active profile still show them
+async function readDisplayedCard(id) {
+  const card = await storage.read(`card-${id}.json`, null);
+  if (card) {
+    return card;
+  }
+  const { cards = [] } = await templates.read(DEFAULT_TEMPLATE_ID) || defaultTemplate;
+  return cards.find(embedded => embedded.id === id) || null;
+}
+
+// Lets displays act on a card's upstream data, like ticking off a task.
+// Answers with the action's upstream result and the card repopulated.
+app.post('/api/cards/:id/actions/:action', handleAsync(async (req, res) => {
+  const card = await readDisplayedCard(req.params.id);
+  if (!card) {
+    return res.status(404).json({ error: 'Card not found' });
+  }
+  
+  const found = providerRegistry.action(card, req.params.action);
+  if (!found) {
+    return res.status(404).json({
+      error: `Card does not support the ${req.params.action} action`,
+      actions: providerRegistry.actionNames(card)
+    });
+  }
+  
+  const { error, value } = found.action.schema.validate(req.body || {});
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  
+  const options = providerRegistry.options(card, found.provider);
+  if (!options) {
+    return res.status(409).json({ error: 'Card has invalid providerOptions' });
+  }
+  
+  let result;
+  try {
+    result = await found.action.run(value, options);
+  } catch (actionError) {
+    logger.warn('Card action failed', { cardId: card.id, action: req.params.action, message: actionError.message });
+    if (actionError.statusCode === 404) {
+      return res.status(404).json({ error: 'Not found upstream', message: actionError.message });
+    }
+    return res.status(502).json({ error: 'Upstream action failed', message: actionError.message });
+  }
+  
+  logger.info('Card action performed', { cardId: card.id, action: req.params.action, actor: actor(req) });
+  profileStream.notify(`action:${card.id}`);
+  
+  const [populated] = await providerRegistry.populateCards([card]);
+  res.json({ result, card: populated });
+}));
+
+app.get(['/display/activeProfile', '/display/screens/:screenId/activeProfile'], withScreen(async (req, res) => {
+  const body = await activeProfileBody(await storage.read(activeProfileFile(req.screen.id), null));
+  if (!body) {
+    return res.status(404).json({ error: 'No active profile set' });
+  }
+  if (!body.profile) {
+    return res.status(404).json({ error: 'Active profile not found' });
+  }
+  
+  res.set('ETag', etagFor(body));
+  res.json(body);
+}));
+
+app.put(['/display/activeProfile', '/display/screens/:screenId/activeProfile'], withScreen(async (req, res) => {
+  const { error, value } = validation.activeProfile.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  
+  const profile = await storage.read(`profile-${value.profileId}.json`, null);
+  if (!profile) {
+    return res.status(404).json({ error: 'Profile not found' });
+  }
+  
+  await storage.withLock(activeProfileFile(req.screen.id), async () => {
+    const current = await storage.read(activeProfileFile(req.screen.id), null);
+    const currentBody = await activeProfileBody(current);
+    if (ifMatchFails(req, currentBody)) {
+      return preconditionFailed(res, currentBody);
+    }
+    
+    const activeProfile = {
+      profileId: value.profileId,
+      updatedAt: new Date().toISOString()
+    };
+    
+    await storage.write(activeProfileFile(req.screen.id), activeProfile);
+    await audit(req, {
+      action: current ? 'update' : 'create',
+      kind: 'activeProfile',
+      entityId: req.screen.id,
+      screenId: req.screen.id,
+      before: current,
+      after: activeProfile
+    });
+    logger.info('Active profile updated', { screenId: req.screen.id, profileId: value.profileId });
+    profileStream.notify('activeProfile');
+    
+    const body = { ...activeProfile, profile };
+    res.set('ETag', etagFor(body));
+    res.json(body);
+  });
+}));
+
+app.get('/display/screens', handleAsync(async (req, res) => {
+  const { error, value } = validation.listQuery.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  
+  const screens = await readScreens();
+  res.json(paginate(screens, value, screen => screen.name));
+}));
+
+app.get('/display/screens/:screenId', withScreen(async (req, res) => {
+  const active = await resolveActiveProfile(req.screen.id);
+  res.json({ ...req.screen, activeProfile: active });
+}));
+
+app.put('/display/screens/:screenId', handleAsync(async (req, res) => {
+  const { error, value } = validation.screen.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  
+  const screen = {
+    ...value,
+    id: req.params.screenId,
+    updatedAt: new Date().toISOString()
+  };
+  
+  await storage.write(`screen-${req.params.screenId}.json`, screen);
+  logger.info('Screen saved', { id: req.params.screenId, name: screen.name });
+  
+  res.json(screen);
+}));
+
+app.delete('/display/screens/:screenId', handleAsync(async (req, res) => {
+  if (req.params.screenId === DEFAULT_SCREEN_ID) {
+    return res.status(400).json({ error: 'Cannot delete the default screen' });
+  }
+  
+  const screen = await storage.read(`screen-${req.params.screenId}.json`, null);
+  if (!screen) {
+    return res.status(404).json({ error: 'Screen not found' });
+  }
+  
+  const active = await storage.read(activeProfileFile(req.params.screenId), null);
+  await storage.delete(`screen-${req.params.screenId}.json`);
+  await storage.delete(activeProfileFile(req.params.screenId));
+  await storage.withLock('schedule.json', async () => {
+    const schedule = await readSchedule();
+    if (schedule.overrides[req.params.screenId]) {
+      const overrides = { ...schedule.overrides };
+      delete overrides[req.params.screenId];
+      await storage.write('schedule.json', { ...schedule, overrides });
+    }
+  });
+  if (active) {
+    await audit(req, {
+      action: 'delete',
+      kind: 'activeProfile',
+      entityId: req.params.screenId,
+      screenId: req.params.screenId,
+      before: active
+    });
+  }
+  logger.info('Screen deleted', { id: req.params.screenId });
+  
+  res.status(204).send();
+}));
+
+app.get('/display/profiles', handleAsync(async (req, res) => {
+  const { error, value } = validation.listQuery.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  
+  const profiles = await storage.readAll('profile-');
+  res.json(paginate(profiles, value, profile => profile.name));
+}));
+
+// Profiles that extend another are exported merged with their bases, so a
+// bundle never depends on profiles it doesn't contain
+app.get('/display/profiles/:id/export', handleAsync(async (req, res) => {
+  const stored = await storage.read(`profile-${req.params.id}.json`, null);
+  if (!stored) {
+    return res.status(404).json({ error: 'Profile not found' });
+  }
+  
+  let profile;
+  try {
+    profile = await resolveProfile(stored);
+  } catch (error) {
+    return res.status(409).json({ error: error.message });
+  }
+  
+  const cardIds = [...new Set(Object.values(references.zoneCards(profile)).flat())];
+  const cards = await Promise.all(cardIds.map(cardId => storage.read(`card-${cardId}.json`, null)));
+  const missingCards = cardIds.filter((cardId, index) => !cards[index]);
+  
+  const bundle = {
+    format: 'projector-bundle',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    profile,
+    cards: cards.filter(card => card !== null)
+  };
+  if (missingCards.length > 0) {
+    bundle.missingCards = missingCards;
+  }
+  
+  res.set('Content-Disposition', `attachment; filename="profile-${req.params.id}.bundle.json"`);
+  res.json(bundle);
+}));
+
+// Everything in the bundle is validated before anything is written. Ids
+// that already exist with different content are conflicts; without an
+// onConflict strategy they are reported back with a 409.
+app.post('/display/import', handleAsync(async (req, res) => {
+  const { error: queryError, value: query } = validation.importQuery.validate(req.query);
+  if (queryError) {
+    return res.status(400).json({ error: queryError.details[0].message });
+  }
+  
+  const { error: bundleError, value: bundle } = validation.bundle.validate(req.body, { allowUnknown: true });
+  if (bundleError) {
+    return res.status(400).json({ error: bundleError.details[0].message });
+  }
+  
+  const cards = [];
+  for (const card of bundle.cards) {
+    const { error, value } = validation.card.validate(clientFields(card));
+    if (error) {
+      return res.status(400).json({ error: `Card ${card.id}: ${error.details[0].message}` });
+    }
+    const providerError = providerRegistry.validateCard(value);
+    if (providerError) {
+      return res.status(400).json({ error: `Card ${card.id}: ${providerError}` });
+    }
+    cards.push(value);
+  }
+  
+  const { error: profileError, value: profile } = validation.profile.validate(clientFields(bundle.profile));
+  if (profileError) {
+    return res.status(400).json({ error: `Profile ${bundle.profile.id}: ${profileError.details[0].message}` });
+  }
+  if (profile.extends) {
+    return res.status(400).json({ error: `Profile ${bundle.profile.id}: bundled profiles cannot extend other profiles` });
+  }
+  
+  const bundledIds = new Set(cards.map(card => card.id));
+  const referencedIds = [...new Set(Object.values(references.zoneCards(profile)).flat())];
+  const unresolved = [];
+  for (const cardId of referencedIds.filter(id => !bundledIds.has(id))) {
+    if (!await storage.read(`card-${cardId}.json`, null)) {
+      unresolved.push(cardId);
+    }
+  }
+  if (unresolved.length > 0) {
+    return res.status(400).json({ error: 'Bundle references cards it does not contain', missingCards: unresolved });
+  }
+  
+  const plan = async (kind, document) => {
+    const existing = await storage.read(`${kind}-${document.id}.json`, null);
+    if (!existing) {
+      return { kind, originalId: document.id, id: document.id, action: 'create', document };
+    }
+    if (jsonPatch.isEqual(clientFields(existing), document)) {
+      return { kind, originalId: document.id, id: document.id, action: 'unchanged', document };
+    }
+    return { kind, originalId: document.id, id: document.id, action: 'conflict', document };
+  };
+  
+  const resolveConflict = async (step, steps) => {
+    if (query.onConflict === 'overwrite') {
+      step.action = 'overwrite';
+      return;
+    }
+    if (query.onConflict === 'skip') {
+      step.action = 'skip';
+      return;
+    }
+    
+    let suffix = 1;
+    let candidate;
+    do {
+      candidate = `${step.originalId}-imported${suffix > 1 ? `-${suffix}` : ''}`;
+      suffix++;
+    } while (
+      await storage.read(`${step.kind}-${candidate}.json`, null) ||
+      steps.some(other => other !== step && other.kind === step.kind && other.id === candidate)
+    );
+    step.id = candidate;
+    step.action = 'rename';
+  };
+  
+  const steps = [];
+  for (const card of cards) {
+    steps.push(await plan('card', card));
+  }
+  
+  if (query.onConflict) {
+    for (const step of steps.filter(step => step.action === 'conflict')) {
+      await resolveConflict(step, steps);
+    }
+  }
+  
+  // Point the profile at renamed cards before comparing it with what exists
+  const renamed = new Map(steps.filter(step => step.action === 'rename').map(step => [step.originalId, step.id]));
+  Object.values(profile.zones).forEach(zone => {
+    zone.cards = zone.cards.map(cardId => renamed.get(cardId) || cardId);
+  });
+  const profileStep = await plan('profile', profile);
+  steps.push(profileStep);
+  
+  if (!query.onConflict) {
+    const conflicts = steps.filter(step => step.action === 'conflict');
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        error: 'Bundle conflicts with existing data; retry with onConflict=rename, overwrite or skip',
+        conflicts: conflicts.map(({ kind, id }) => ({ kind, id }))
+      });
+    }
+  } else if (profileStep.action === 'conflict') {
+    await resolveConflict(profileStep, steps);
+  }
+  
+  const summary = steps.map(({ kind, originalId, id, action }) => ({ kind, originalId, id, action }));
+  if (query.dryRun) {
+    return res.json({ dryRun: true, steps: summary });
+  }
+  
+  for (const step of steps.filter(step => ['create', 'overwrite', 'rename'].includes(step.action))) {
+    const document = {
+      ...step.document,
+      id: step.id,
+      updatedAt: new Date().toISOString()
+    };
+    await storage.withLock(`${step.kind}-${step.id}.json`, () => storage.write(`${step.kind}-${step.id}.json`, document));
+    await history.record(step.kind, step.id, document, req, 'import');
+  }
+  
+  logger.info('Bundle imported', { profileId: profileStep.id, steps: summary.length, onConflict: query.onConflict || null });
+  profileStream.notify('import');
+  
+  res.status(201).json({ dryRun: false, steps: summary });
+}));
+
+app.get('/display/profiles/:id', handleAsync(async (req, res) => {
+  const profile = await storage.read(`profile-${req.params.id}.json`, null);
+  if (!profile) {
+    return res.status(404).json({ error: 'Profile not found' });
+  }
+  res.set('ETag', etagFor(profile));
+  res.json(profile);
+}));
+
+app.get('/display/profiles/:id/preview.:format(html|png)', handleAsync(async (req, res) => {
+  const profile = await storage.read(`profile-${req.params.id}.json`, null);
+  if (!profile) {
+    return res.status(404).json({ error: 'Profile not found' });
+  }
+  
+  let built;
+  try {
+    built = await buildProfile(profile);
+  } catch (error) {
+    return res.status(409).json({ error: `Profile cannot be resolved: ${error.message}` });
+  }
+  await sendSnapshot(req, res, built, req.params.format);
+}));
+
+// Persists a validated profile for PUT and PATCH, reporting dangling cards
+// the caller allowed
+// Profiles extending profileId, directly or through others, that no longer
+// resolve to a valid profile
+async function brokenDescendants(profileId) {
+  const profiles = await storage.readAll('profile-');
+  const broken = [];
+  const seen = new Set([profileId]);
+  const queue = profileInheritance.children(profileId, profiles);
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (!seen.has(id)) {
+      seen.add(id);
+      const { error } = await checkProfile(id, clientFields(profiles.find(profile => profile.id === id)));
+      if (error) {
+        broken.push({ profileId: id, error });
+      }
+      queue.push(...profileInheritance.children(id, profiles));
+    }
+  }
+  return broken;
+}
+
+async function storeProfile(req, res, value, existing, missingCards) {
+  const profile = {
+    ...value,
+    id: req.params.id,
+    updatedAt: new Date().toISOString()
+  };
+  
+  await storage.write(`profile-${req.params.id}.json`, profile);
+  await history.record('profile', req.params.id, profile, req, existing ? 'update' : 'create', existing);
+  logger.info('Profile saved', { id: req.params.id, name: profile.name });
+  profileStream.notify('profile');
+  
+  res.set('ETag', etagFor(profile));
+  const warnings = {};
+  if (missingCards.length > 0) {
+    logger.warn('Profile saved with missing cards', { id: req.params.id, missingCards });
+    warnings.missingCards = missingCards;
+  }
+  // Profiles extending this one fall back to the default template on
+  // screens until they are fixed, so say which ones the change broke
+  const brokenProfiles = await brokenDescendants(req.params.id);
+  if (brokenProfiles.length > 0) {
+    logger.warn('Profile saved with extending profiles that no longer resolve', { id: req.params.id, brokenProfiles });
+    warnings.brokenProfiles = brokenProfiles;
+  }
+  res.json(Object.keys(warnings).length > 0 ? { ...profile, warnings } : profile);
+}
+
+app.put('/display/profiles/:id', handleAsync(async (req, res) => {
+  const { error, value } = validation.profile.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  
+  const { error: queryError, value: query } = validation.profileSaveQuery.validate(req.query);
+  if (queryError) {
+    return res.status(400).json({ error: queryError.details[0].message });
+  }
+  
+  // Dangling card ids are rejected unless the caller opts in, in which case
+  // they are reported back alongside the saved profile
+  const { error: profileError, missingCards } = await checkProfile(req.params.id, value);
+  if (profileError) {
+    return res.status(400).json({ error: profileError });
+  }
+  if (missingCards.length > 0 && !query.allowMissing) {
+    return res.status(400).json({ error: 'Profile references cards that do not exist', missingCards });
+  }
+  
+  await storage.withLock(`profile-${req.params.id}.json`, async () => {
+    const existing = await storage.read(`profile-${req.params.id}.json`, null);
+    if (ifMatchFails(req, existing)) {
+      return preconditionFailed(res, existing);
+    }
+    
+    await storeProfile(req, res, value, existing, missingCards);
+  });
+}));
+
+app.patch('/display/profiles/:id', handleAsync(async (req, res) => {
+  const { error: queryError, value: query } = validation.profileSaveQuery.validate(req.query);
+  if (queryError) {
+    return res.status(400).json({ error: queryError.details[0].message });
+  }
+  
+  await storage.withLock(`profile-${req.params.id}.json`, async () => {
+    const existing = await storage.read(`profile-${req.params.id}.json`, null);
+    if (!existing) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    if (ifMatchFails(req, existing)) {
+      return preconditionFailed(res, existing);
+    }
+    
+    const patched = patchDocument(req, clientFields(existing), validation.profilePatch, moveCardOperation);
+    if (patched.error) {
+      return res.set(patched.headers || {}).status(patched.status).json({ error: patched.error });
+    }
+    
+    const { error, value } = validation.profile.validate(patched.value);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const { error: profileError, missingCards } = await checkProfile(req.params.id, value);
+    if (profileError) {
+      return res.status(400).json({ error: profileError });
+    }
+    if (missingCards.length > 0 && !query.allowMissing) {
+      return res.status(400).json({ error: 'Profile references cards that do not exist', missingCards });
+    }
+    
+    await storeProfile(req, res, value, existing, missingCards);
+  });
+}));
+
+app.delete('/display/profiles/:id', handleAsync(async (req, res) => {
+  await storage.withLock(`profile-${req.params.id}.json`, async () => {
+    const profile = await storage.read(`profile-${req.params.id}.json`, null);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    if (ifMatchFails(req, profile)) {
+      return preconditionFailed(res, profile);
+    }
+    
+    const screens = await screensUsingProfile(req.params.id);
+    if (screens.length > 0) {
+      return res.status(400).json({ error: 'Cannot delete active profile', screens: screens.map(screen => screen.id) });
+    }
+    
+    const children = profileInheritance.children(req.params.id, await storage.readAll('profile-'));
+    if (children.length > 0) {
+      return res.status(409).json({ error: 'Profile is extended by other profiles', profiles: children });
+    }
+    
+    const schedule = await readSchedule();
+    const rules = schedule.rules.filter(rule => rule.profileId === req.params.id).map(rule => rule.id);
+    const overrides = Object.keys(schedule.overrides).filter(screenId => schedule.overrides[screenId].profileId === req.params.id);
+    if (rules.length > 0 || overrides.length > 0) {
+      return res.status(409).json({ error: 'Profile is used by the schedule', rules, overrides });
+    }
+    
+    await history.trash('profile', req.params.id, profile, req);
+    await storage.delete(`profile-${req.params.id}.json`);
+    logger.info('Profile deleted', { id: req.params.id });
+    
+    res.status(204).send();
+  });
+}));
+
+app.get('/display/templates', handleAsync(async (req, res) => {
+  const { error, value } = validation.listQuery.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  
+  const items = await storage.readAll('template-');
+  res.json(paginate(items, value, template => template.name));
+}));
+
+app.get('/display/templates/:id', handleAsync(async (req, res) => {
+  const template = await templates.read(req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  res.set('ETag', etagFor(template));
+  res.json(template);
+}));
+
+app.put('/display/templates/:id', handleAsync(async (req, res) => {
+  const { error, missingCards, value } = await templates.validate(req.body);
+  if (error) {
+    return res.status(400).json(missingCards ? { error, missingCards } : { error });
+  }
+  
+  await storage.withLock(`template-${req.params.id}.json`, async () => {
+    const existing = await templates.read(req.params.id);
+    if (ifMatchFails(req, existing)) {
+      return preconditionFailed(res, existing);
+    }
+    
+    const template = {
+      ...value,
+      id: req.params.id,
+      updatedAt: new Date().toISOString()
+    };
+    
+    await storage.write(`template-${req.params.id}.json`, template);
+    await history.record('template', req.params.id, template, req, existing ? 'update' : 'create', existing);
+    logger.info('Template saved', { id: req.params.id, name: template.name });
+    if (req.params.id === DEFAULT_TEMPLATE_ID) {
+      profileStream.notify('template');
+    }
+    
+    res.set('ETag', etagFor(template));
+    res.json(template);
+  });
+}));
+
+app.delete('/display/templates/:id', handleAsync(async (req, res) => {
+  if (req.params.id === DEFAULT_TEMPLATE_ID) {
+    return res.status(400).json({ error: 'The default template cannot be deleted' });
+  }
+  
+  await storage.withLock(`template-${req.params.id}.json`, async () => {
+    const template = await templates.read(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    if (ifMatchFails(req, template)) {
+      return preconditionFailed(res, template);
+    }
+    
+    await history.trash('template', req.params.id, template, req);
+    await storage.delete(`template-${req.params.id}.json`);
+    logger.info('Template deleted', { id: req.params.id });
+    
+    res.status(204).send();
+  });
+}));
+
+// Creates a profile with the template's layout. Embedded cards that don't
+// exist yet are created; cards that already exist under the same id are
+// used as they are.
+app.post('/display/templates/:id/instantiate', handleAsync(async (req, res) => {
+  const { error, value } = validation.instantiateTemplate.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  
+  const template = await templates.read(req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  
+  await storage.withLock(`profile-${value.profileId}.json`, async () => {
+    if (await storage.read(`profile-${value.profileId}.json`, null)) {
+      return res.status(409).json({ error: 'Profile with this id already exists' });
+    }
+    
+    const { id, description, cards, updatedAt, ...layout } = template;
+    const placed = new Set(Object.values(references.zoneCards(layout)).flat());
+    const created = [];
+    const reused = [];
+    
+    for (const card of cards.filter(embedded => placed.has(embedded.id))) {
+      await storage.withLock(`card-${card.id}.json`, async () => {
+        if (await storage.read(`card-${card.id}.json`, null)) {
+          reused.push(card.id);
+          return;
+        }
+        const document = { ...card, updatedAt: new Date().toISOString() };
+        await storage.write(`card-${card.id}.json`, document);
+        await history.record('card', card.id, document, req, 'create');
+        created.push(card.id);
+      });
+    }
+    
+    const profile = {
+      ...layout,
+      name: value.name || template.name,
+      id: value.profileId,
+      updatedAt: new Date().toISOString()
+    };
+    
+    await storage.write(`profile-${profile.id}.json`, profile);
+    await history.record('profile', profile.id, profile, req, 'create');
+    logger.info('Profile created from template', { id: profile.id, templateId: template.id, cardsCreated: created.length });
+    
+    res.set('ETag', etagFor(profile));
+    res.status(201).json({ profile, cards: { created, reused } });
+  });
+}));
+
+app.get('/display/card-types', handleAsync(async (req, res) => {
+  const builtIn = cardTypes.list().map(({ type }) => type);
+  const types = [...new Set([...builtIn, ...providerRegistry.cardTypes()])];
+  
+  res.json(types.map(type => {
+    const definition = cardTypes.get(type);
+    const provider = providerRegistry.providerForType(type);
+    return {
+      type,
+      description: definition ? definition.description : null,
+      live: Boolean(provider),
+      provider: provider ? provider.name : null,
+      configSchema: cardConfigSchema(type).describe(),
+      providerOptionsSchema: provider && provider.configSchema ? provider.configSchema.describe() : null
+    };
+  }));
+}));
+
+app.get('/display/cards', handleAsync(async (req, res) => {
+  const { error, value } = validation.listQuery.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  
+  const cards = await storage.readAll('card-');
+  res.json(paginate(cards, value, card => (card.config && card.config.title) || card.id));
 }));
 
 app.get('/display/cards/:id', handleAsync(async (req, res) => {
-  const card = await fileStorage.readFile(`card-${req.params.id}.json`, null);
+  const card = await storage.read(`card-${req.params.id}.json`, null);
   if (!card) {
     return res.status(404).json({ error: 'Card not found' });
   }
+  res.set('ETag', etagFor(card));
   res.json(card);
 }));
 
-app.put('/display/cards/:id', handleAsync(async (req, res) => {
-  const { error, value } = validation.card.validate(req.body);
-  if (error) {
-    return res.status(400).json({ error: error.details[0].message });
-  }
-  
+// Persists a validated card for PUT and PATCH
+async function storeCard(req, res, value, existing) {
   const card = {
     ...value,
     id: req.params.id,
     updatedAt: new Date().toISOString()
   };
   
-  await fileStorage.writeFile(`card-${req.params.id}.json`, card);
+  await storage.write(`card-${req.params.id}.json`, card);
+  await history.record('card', req.params.id, card, req, existing ? 'update' : 'create', existing);
   logger.info('Card saved', { id: req.params.id, type: card.type });
+  profileStream.notify('card');
   
+  res.set('ETag', etagFor(card));
   res.json(card);
+}
+
+app.put('/display/cards/:id', handleAsync(async (req, res) => {
+  const { error, value } = validation.card.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  
+  const providerError = providerRegistry.validateCard(value);
+  if (providerError) {
+    return res.status(400).json({ error: providerError });
+  }
+  
+  await storage.withLock(`card-${req.params.id}.json`, async () => {
+    const existing = await storage.read(`card-${req.params.id}.json`, null);
+    if (ifMatchFails(req, existing)) {
+      return preconditionFailed(res, existing);
+    }
+    
+    await storeCard(req, res, value, existing);
+  });
 }));
 
-app.delete('/display/cards/:id', handleAsync(async (req, res) => {
-  const card = await fileStorage.readFile(`card-${req.params.id}.json`, null);
+app.patch('/display/cards/:id', handleAsync(async (req, res) => {
+  await storage.withLock(`card-${req.params.id}.json`, async () => {
+    const existing = await storage.read(`card-${req.params.id}.json`, null);
+    if (!existing) {
+      return res.status(404).json({ error: 'Card not found' });
+    }
+    if (ifMatchFails(req, existing)) {
+      return preconditionFailed(res, existing);
+    }
+    
+    const patched = patchDocument(req, clientFields(existing), validation.jsonPatch);
+    if (patched.error) {
+      return res.set(patched.headers || {}).status(patched.status).json({ error: patched.error });
+    }
+    
+    const { error, value } = validation.card.validate(patched.value);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const providerError = providerRegistry.validateCard(value);
+    if (providerError) {
+      return res.status(400).json({ error: providerError });
+    }
+    
+    await storeCard(req, res, value, existing);
+  });
+}));
+
+app.get('/display/cards/:id/usage', handleAsync(async (req, res) => {
+  const card = await storage.read(`card-${req.params.id}.json`, null);
   if (!card) {
     return res.status(404).json({ error: 'Card not found' });
   }
   
-  await fileStorage.deleteFile(`card-${req.params.id}.json`);
-  logger.info('Card deleted', { id: req.params.id });
+  res.json({
+    cardId: req.params.id,
+    usedBy: await references.cardUsage(req.params.id)
+  });
+}));
+
+app.delete('/display/cards/:id', handleAsync(async (req, res) => {
+  const { error, value } = validation.cardDeleteQuery.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  
+  await storage.withLock(`card-${req.params.id}.json`, async () => {
+    const card = await storage.read(`card-${req.params.id}.json`, null);
+    if (!card) {
+      return res.status(404).json({ error: 'Card not found' });
+    }
+    if (ifMatchFails(req, card)) {
+      return preconditionFailed(res, card);
+    }
+    
+    // A card still placed on a profile is only deleted with ?cascade=true,
+    // which also takes it out of those profiles
+    const usedBy = await references.cardUsage(req.params.id);
+    if (usedBy.length > 0 && !value.cascade) {
+      return res.status(409).json({ error: 'Card is still in use', usedBy });
+    }
+    
+    for (const usage of usedBy) {
+      await storage.withLock(`profile-${usage.profileId}.json`, async () => {
+        const profile = await storage.read(`profile-${usage.profileId}.json`, null);
+        const before = JSON.parse(JSON.stringify(profile));
+        Object.values(profile.zones).filter(zone => zone && zone.cards).forEach(zone => {
+          zone.cards = zone.cards.filter(cardId => cardId !== req.params.id);
+          if (zone.rotation && zone.rotation.cardDwell) {
+            delete zone.rotation.cardDwell[req.params.id];
+          }
+        });
+        profile.updatedAt = new Date().toISOString();
+        
+        await storage.write(`profile-${usage.profileId}.json`, profile);
+        await history.record('profile', usage.profileId, profile, req, 'update', before);
+        logger.info('Card removed from profile', { cardId: req.params.id, profileId: usage.profileId });
+      });
+    }
+    
+    await history.trash('card', req.params.id, card, req);
+    await storage.delete(`card-${req.params.id}.json`);
+    logger.info('Card deleted', { id: req.params.id, cascade: usedBy.map(usage => usage.profileId) });
+    profileStream.notify('card');
+    
+    res.status(204).send();
+  });
+}));
+
+// Cross-checks everything in the data directory: dangling card references,
+// unused cards, invalid documents, and screens or schedule entries pointing
+// at profiles or screens that no longer exist
+app.get('/display/integrity', handleAsync(async (req, res) => {
+  const [profiles, cards, screens, schedule] = await Promise.all([
+    storage.readAll('profile-'),
+    storage.readAll('card-'),
+    readScreens(),
+    readSchedule()
+  ]);
+  
+  const issues = [];
+  const profileIds = new Set(profiles.map(profile => profile.id));
+  const cardIds = new Set(cards.map(card => card.id));
+  const screenIds = new Set(screens.map(screen => screen.id));
+  const usedCards = new Set();
+  
+  profiles.forEach(profile => {
+    const { error } = validation.profile.validate(clientFields(profile));
+    if (error) {
+      issues.push({ severity: 'error', type: 'invalidProfile', profileId: profile.id, message: error.details[0].message });
+    }
+    if (profile.extends && !profileIds.has(profile.extends)) {
+      issues.push({ severity: 'error', type: 'missingBaseProfile', profileId: profile.id, baseProfileId: profile.extends });
+    }
+    
+    Object.entries(references.zoneCards(profile)).forEach(([zoneId, zoneCardIds]) => {
+      zoneCardIds.forEach(cardId => {
+        usedCards.add(cardId);
+        if (!cardIds.has(cardId)) {
+          issues.push({ severity: 'error', type: 'danglingCard', profileId: profile.id, zone: zoneId, cardId });
+        }
+      });
+    });
+  });
+  
+  for (const profile of profiles.filter(candidate => candidate.extends && profileIds.has(candidate.extends))) {
+    const { error } = await checkProfile(profile.id, clientFields(profile));
+    if (error) {
+      issues.push({ severity: 'error', type: 'invalidProfile', profileId: profile.id, message: error });
+    }
+  }
+  
+  cards.forEach(card => {
+    const { error } = validation.card.validate(clientFields(card));
+    if (error) {
+      issues.push({ severity: 'error', type: 'invalidCard', cardId: card.id, message: error.details[0].message });
+    }
+    if (!usedCards.has(card.id)) {
+      issues.push({ severity: 'info', type: 'unusedCard', cardId: card.id });
+    }
+  });
+  
+  for (const screen of screens) {
+    const active = await storage.read(activeProfileFile(screen.id), null);
+    if (active && !profileIds.has(active.profileId)) {
+      issues.push({ severity: 'error', type: 'missingActiveProfile', screenId: screen.id, profileId: active.profileId });
+    }
+  }
+  
+  schedule.rules.forEach(rule => {
+    if (!profileIds.has(rule.profileId)) {
+      issues.push({ severity: 'error', type: 'scheduleMissingProfile', ruleId: rule.id, profileId: rule.profileId });
+    }
+    (rule.screens || []).filter(screenId => !screenIds.has(screenId)).forEach(screenId => {
+      issues.push({ severity: 'warning', type: 'scheduleUnknownScreen', ruleId: rule.id, screenId });
+    });
+  });
+  
+  Object.entries(schedule.overrides || {}).forEach(([screenId, override]) => {
+    if (!profileIds.has(override.profileId)) {
+      issues.push({ severity: 'error', type: 'overrideMissingProfile', screenId, profileId: override.profileId });
+    }
+    if (!screenIds.has(screenId)) {
+      issues.push({ severity: 'warning', type: 'overrideUnknownScreen', screenId, profileId: override.profileId });
+    }
+  });
+  
+  res.json({
+    checkedAt: new Date().toISOString(),
+    ok: !issues.some(issue => issue.severity === 'error'),
+    summary: {
+      profiles: profiles.length,
+      cards: cards.length,
+      screens: screens.length,
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity === 'warning').length
+    },
+    issues
+  });
+}));
+
+app.get(`/display/${ENTITY_ROUTE}/:id/revisions`, handleAsync(async (req, res) => {
+  const { kind } = ENTITY_KINDS[req.params.kind];
+  const revisions = await history.revisions(kind, req.params.id);
+  res.json(revisions.map(revision => history.summary(revision)).reverse());
+}));
+
+app.get(`/display/${ENTITY_ROUTE}/:id/revisions/:rev(\\d+)`, handleAsync(async (req, res) => {
+  const { kind } = ENTITY_KINDS[req.params.kind];
+  const revision = await history.revision(kind, req.params.id, Number(req.params.rev));
+  if (!revision) {
+    return res.status(404).json({ error: 'Revision not found' });
+  }
+  res.json(revision);
+}));
+
+// Compares two revisions; `to` defaults to the current document
+app.get(`/display/${ENTITY_ROUTE}/:id/diff`, handleAsync(async (req, res) => {
+  const { error, value } = validation.revisionDiff.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  
+  const { kind } = ENTITY_KINDS[req.params.kind];
+  const from = await history.revision(kind, req.params.id, value.from);
+  if (!from) {
+    return res.status(404).json({ error: 'Revision not found' });
+  }
+  
+  let to;
+  if (value.to) {
+    to = await history.revision(kind, req.params.id, value.to);
+    if (!to) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+  } else {
+    to = { rev: null, data: await storage.read(`${kind}-${req.params.id}.json`, null) };
+  }
+  
+  res.json({
+    from: from.rev,
+    to: to.rev,
+    changes: jsonDiff.diff(from.data, to.data)
+  });
+}));
+
+app.post(`/display/${ENTITY_ROUTE}/:id/revisions/:rev(\\d+)/restore`, handleAsync(async (req, res) => {
+  const { kind, label } = ENTITY_KINDS[req.params.kind];
+  const revision = await history.revision(kind, req.params.id, Number(req.params.rev));
+  if (!revision) {
+    return res.status(404).json({ error: 'Revision not found' });
+  }
+  if (!revision.data) {
+    return res.status(400).json({ error: 'Cannot restore a delete revision' });
+  }
+  
+  const { error, missingCards, value } = await validateEntity(kind, req.params.id, revision.data);
+  if (error) {
+    return res.status(400).json(missingCards ? { error, missingCards } : { error });
+  }
+  
+  await storage.withLock(`${kind}-${req.params.id}.json`, async () => {
+    const existing = await storage.read(`${kind}-${req.params.id}.json`, null);
+    if (ifMatchFails(req, existing)) {
+      return preconditionFailed(res, existing);
+    }
+    
+    const entity = {
+      ...value,
+      id: req.params.id,
+      updatedAt: new Date().toISOString()
+    };
+    
+    await storage.write(`${kind}-${req.params.id}.json`, entity);
+    await storage.delete(`trash-${kind}-${req.params.id}.json`);
+    await history.record(kind, req.params.id, entity, req, 'restore', existing);
+    logger.info(`${label} restored`, { id: req.params.id, rev: revision.rev });
+    profileStream.notify(kind);
+    
+    res.set('ETag', etagFor(entity));
+    res.json(entity);
+  });
+}));
+
+app.get('/display/audit', handleAsync(async (req, res) => {
+  const { error, value } = validation.auditQuery.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  
+  res.json(await auditLog.query(value));
+}));
+
+app.get('/display/trash', handleAsync(async (req, res) => {
+  const items = await storage.readAll('trash-');
+  res.json(items
+    .map(({ data, ...item }) => ({ ...item, name: data.name || (data.config && data.config.title) || null }))
+    .sort((a, b) => (a.deletedAt < b.deletedAt ? 1 : -1)));
+}));
+
+app.post(`/display/trash/${ENTITY_ROUTE}/:id/restore`, handleAsync(async (req, res) => {
+  const { kind, label } = ENTITY_KINDS[req.params.kind];
+  const item = await storage.read(`trash-${kind}-${req.params.id}.json`, null);
+  if (!item) {
+    return res.status(404).json({ error: `${label} not found in trash` });
+  }
+  
+  const { error, missingCards, value } = await validateEntity(kind, req.params.id, item.data);
+  if (error) {
+    return res.status(400).json(missingCards ? { error, missingCards } : { error });
+  }
+  
+  await storage.withLock(`${kind}-${req.params.id}.json`, async () => {
+    const existing = await storage.read(`${kind}-${req.params.id}.json`, null);
+    if (existing) {
+      return res.status(409).json({ error: `${label} with this id already exists` });
+    }
+    
+    const entity = {
+      ...value,
+      id: req.params.id,
+      updatedAt: new Date().toISOString()
+    };
+    
+    await storage.write(`${kind}-${req.params.id}.json`, entity);
+    await storage.delete(`trash-${kind}-${req.params.id}.json`);
+    await history.record(kind, req.params.id, entity, req, 'restore');
+    logger.info(`${label} restored from trash`, { id: req.params.id });
+    profileStream.notify(kind);
+    
+    res.set('ETag', etagFor(entity));
+    res.json(entity);
+  });
+}));
+
+app.delete(`/display/trash/${ENTITY_ROUTE}/:id`, handleAsync(async (req, res) => {
+  const { kind, label } = ENTITY_KINDS[req.params.kind];
+  const item = await storage.read(`trash-${kind}-${req.params.id}.json`, null);
+  if (!item) {
+    return res.status(404).json({ error: `${label} not found in trash` });
+  }
+  
+  await storage.delete(`trash-${kind}-${req.params.id}.json`);
+  await storage.delete(`revisions-${kind}-${req.params.id}.json`);
+  logger.info(`${label} purged from trash`, { id: req.params.id });
   
   res.status(204).send();
 }));
 
+async function readSchedule() {
+  return profileSchedule.upgrade(await storage.read('schedule.json', null), DEFAULT_SCREEN_ID);
+}
+
+// Rewrites a schedule still stored in the pre-screens shape
+async function migrateSchedule() {
+  await storage.withLock('schedule.json', async () => {
+    const stored = await storage.read('schedule.json', null);
+    if (stored && stored.override !== undefined) {
+      await storage.write('schedule.json', profileSchedule.upgrade(stored, DEFAULT_SCREEN_ID));
+      logger.info('Schedule migrated to per-screen overrides');
+    }
+  });
+}
+
+app.get('/display/schedule', handleAsync(async (req, res) => {
+  res.json(await readSchedule());
+}));
+
+app.get('/display/schedule/preview', handleAsync(async (req, res) => {
+  const { error, value } = validation.schedulePreview.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  
+  const screen = await readScreen(value.screenId);
+  if (!screen) {
+    return res.status(404).json({ error: 'Screen not found' });
+  }
+  
+  const at = value.at || new Date();
+  const resolved = await resolveActiveProfile(screen.id, at);
+  res.json({ at: at.toISOString(), screenId: screen.id, ...resolved });
+}));
+
+app.post('/display/schedule/rules', handleAsync(async (req, res) => {
+  const { error, value } = validation.scheduleRule.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  
+  const profile = await storage.read(`profile-${value.profileId}.json`, null);
+  if (!profile) {
+    return res.status(404).json({ error: 'Profile not found' });
+  }
+  
+  await storage.withLock('schedule.json', async () => {
+    const schedule = await readSchedule();
+    const rule = {
+      ...value,
+      id: uuidv4(),
+      updatedAt: new Date().toISOString()
+    };
+    schedule.rules.push(rule);
+    
+    await storage.write('schedule.json', schedule);
+    logger.info('Schedule rule created', { id: rule.id, profileId: rule.profileId });
+    profileStream.notify('schedule');
+    
+    res.status(201).json(rule);
+  });
+}));
+
+app.get('/display/schedule/rules/:id', handleAsync(async (req, res) => {
+  const schedule = await readSchedule();
+  const rule = schedule.rules.find(r => r.id === req.params.id);
+  if (!rule) {
+    return res.status(404).json({ error: 'Schedule rule not found' });
+  }
+  res.json(rule);
+}));
+
+app.put('/display/schedule/rules/:id', handleAsync(async (req, res) => {
+  const { error, value } = validation.scheduleRule.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  
+  await storage.withLock('schedule.json', async () => {
+    const schedule = await readSchedule();
+    const index = schedule.rules.findIndex(r => r.id === req.params.id);
+    if (index === -1) {
+      return res.status(404).json({ error: 'Schedule rule not found' });
+    }
+    
+    const profile = await storage.read(`profile-${value.profileId}.json`, null);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    
+    const rule = {
+      ...value,
+      id: req.params.id,
+      updatedAt: new Date().toISOString()
+    };
+    schedule.rules[index] = rule;
+    
+    await storage.write('schedule.json', schedule);
+    logger.info('Schedule rule saved', { id: rule.id, profileId: rule.profileId });
+    profileStream.notify('schedule');
+    
+    res.json(rule);
+  });
+}));
+
+app.delete('/display/schedule/rules/:id', handleAsync(async (req, res) => {
+  await storage.withLock('schedule.json', async () => {
+    const schedule = await readSchedule();
+    const index = schedule.rules.findIndex(r => r.id === req.params.id);
+    if (index === -1) {
+      return res.status(404).json({ error: 'Schedule rule not found' });
+    }
+    
+    schedule.rules.splice(index, 1);
+    await storage.write('schedule.json', schedule);
+    logger.info('Schedule rule deleted', { id: req.params.id });
+    profileStream.notify('schedule');
+    
+    res.status(204).send();
+  });
+}));
+
+app.put('/display/schedule/override', handleAsync(async (req, res) => {
+  const { error, value } = validation.scheduleOverride.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  
+  const screen = await readScreen(value.screenId);
+  if (!screen) {
+    return res.status(404).json({ error: 'Screen not found' });
+  }
+  
+  const profile = await storage.read(`profile-${value.profileId}.json`, null);
+  if (!profile) {
+    return res.status(404).json({ error: 'Profile not found' });
+  }
+  
+  const expiresAt = value.expiresAt || new Date(Date.now() + value.durationMinutes * 60 * 1000);
+  await storage.withLock('schedule.json', async () => {
+    const schedule = await readSchedule();
+    const override = {
+      profileId: value.profileId,
+      expiresAt: expiresAt.toISOString(),
+      createdAt: new Date().toISOString()
+    };
+    schedule.overrides = { ...schedule.overrides, [screen.id]: override };
+    
+    await storage.write('schedule.json', schedule);
+    logger.info('Schedule override set', { screenId: screen.id, ...override });
+    profileStream.notify('schedule');
+    
+    res.json({ screenId: screen.id, ...override });
+  });
+}));
+
+app.delete('/display/schedule/override', handleAsync(async (req, res) => {
+  const { error, value } = validation.scheduleOverrideClear.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  
+  await storage.withLock('schedule.json', async () => {
+    const schedule = await readSchedule();
+    const overrides = { ...schedule.overrides };
+    delete overrides[value.screenId];
+    schedule.overrides = overrides;
+    
+    await storage.write('schedule.json', schedule);
+    logger.info('Schedule override cleared', { screenId: value.screenId });
+    profileStream.notify('schedule');
+    
+    res.status(204).send();
+  });
+}));
+
+app.get('/display/keys', auth.requireRole('admin'), handleAsync(async (req, res) => {
+  const keys = await auth.readKeys();
+  res.json(keys.map(key => auth.publicKey(key)));
+}));
+
+app.post('/display/keys', auth.requireRole('admin'), handleAsync(async (req, res) => {
+  const { error, value } = validation.apiKey.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  
+  await storage.withLock('apiKeys.json', async () => {
+    const keys = await auth.readKeys();
+    if (keys.length === 0 && value.role !== 'admin') {
+      return res.status(400).json({ error: 'The first API key must have the admin role' });
+    }
+    
+    const token = auth.generate();
+    const key = {
+      id: uuidv4(),
+      name: value.name,
+      role: value.role,
+      prefix: token.slice(0, 8),
+      hash: auth.hash(token),
+      createdAt: new Date().toISOString(),
+      createdBy: req.auth ? req.auth.name : null
+    };
+    
+    await auth.writeKeys([...keys, key]);
+    logger.info('API key created', { id: key.id, name: key.name, role: key.role });
+    
+    res.status(201).json({ ...auth.publicKey(key), key: token });
+  });
+}));
+
+app.delete('/display/keys/:id', auth.requireRole('admin'), handleAsync(async (req, res) => {
+  await storage.withLock('apiKeys.json', async () => {
+    const keys = await auth.readKeys();
+    const key = keys.find(k => k.id === req.params.id);
+    if (!key) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    
+    const remaining = keys.filter(k => k.id !== req.params.id);
+    if (key.role === 'admin' && remaining.length > 0 && !remaining.some(k => k.role === 'admin')) {
+      return res.status(400).json({ error: 'Cannot delete the last admin key while other keys exist' });
+    }
+    
+    await auth.writeKeys(remaining);
+    logger.info('API key deleted', { id: key.id, name: key.name });
+    
+    res.status(204).send();
+  });
+}));
+
 app.get('/display/status', handleAsync(async (req, res) => {
-  const files = await fs.readdir(DATA_DIR);
-  const profiles = files.filter(f => f.startsWith('profile-')).length;
-  const cards = files.filter(f => f.startsWith('card-')).length;
-  const active = await fileStorage.readFile('activeProfile.json', null);
+  const profiles = (await storage.list('profile-')).length;
+  const cards = (await storage.list('card-')).length;
+  const templateCount = (await storage.list('template-')).length;
+  const screens = (await readScreens()).length;
+  const active = await storage.read('activeProfile.json', null);
   
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
+    storage: storage.name,
     cache: {
       profiles,
       cards,
+      templates: templateCount,
+      screens,
       activeProfile: active ? active.profileId : null
-    }
+    },
+    upstream: ctaapiService.getHealthReport()
   });
 }));
 
@@ -520,16 +2571,38 @@ app.use((error, req, res, next) => {
 
 async function startServer() {
   try {
-    await fileStorage.ensureDataDir();
+    await storage.init();
+    await templates.ensureDefault();
+    await migrateSchedule();
+    await ctaapiService.loadCache();
+    await providerRegistry.loadDirectory(PROVIDERS_DIR);
+    if ((await auth.readKeys()).length === 0) {
+      logger.warn('No API keys configured, all routes are open until one is created via POST /display/keys');
+    }
+    profileStream.init();
+    ctaapiService.startRefresher();
     
     app.listen(PORT, () => {
       logger.info(`Projector API server running on port ${PORT}`);
+      logger.info(`Storage backend: ${storage.name}`);
       logger.info(`Data directory: ${DATA_DIR}`);
     });
+    
+    const shutdown = async () => {
+      ctaapiService.stopRefresher();
+      await storage.close();
+      process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
   } catch (error) {
     logger.error('Failed to start server:', error);
     process.exit(1);
   }
 }
 
-startServer();
\ No newline at end of file
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { app, storage };
@@ -0,0 +1,588 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'projector-api-'));
+process.env.DATA_DIR = dataDir;
+process.env.STORAGE_BACKEND = 'file';
+
+const { app, storage } = require('./server');
+
+const keys = {};
+
+function profileBody(name, cards = []) {
+  return { name, zones: { main: { width: 100, height: 100, cards } } };
+}
+
+async function createKey(role, token) {
+  const req = request(app).post('/display/keys').send({ name: `${role} key`, role });
+  const res = token ? await req.set('X-API-Key', token) : await req;
+  expect(res.status).toBe(201);
+  return res.body;
+}
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  await storage.init();
+
+  keys.admin = await createKey('admin');
+  keys.editor = await createKey('editor', keys.admin.key);
+  keys.display = await createKey('display', keys.admin.key);
+});
+
+afterAll(async () => {
+  await storage.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+describe('API key roles', () => {
+  test('rejects requests without a valid key', async () => {
+    expect((await request(app).get('/display/profiles')).status).toBe(401);
+    expect((await request(app).get('/display/profiles').set('X-API-Key', 'pk_wrong')).status).toBe(401);
+  });
+
+  test('display keys can read but not write', async () => {
+    const token = keys.display.key;
+    expect((await request(app).get('/display/profiles').set('X-API-Key', token)).status).toBe(200);
+    const res = await request(app).put('/display/cards/role-test').set('X-API-Key', token).send({ type: 'text' });
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Requires editor role');
+  });
+
+  test('editor keys get past the auth check for writes', async () => {
+    const res = await request(app)
+      .delete('/display/cards/does-not-exist')
+      .set('Authorization', `Bearer ${keys.editor.key}`);
+    expect(res.status).toBe(404);
+  });
+
+  test('only admin keys can list keys', async () => {
+    expect((await request(app).get('/display/keys').set('X-API-Key', keys.admin.key)).status).toBe(200);
+    expect((await request(app).get('/display/keys').set('X-API-Key', keys.editor.key)).status).toBe(403);
+    expect((await request(app).get('/display/keys').set('X-API-Key', keys.display.key)).status).toBe(403);
+  });
+
+  test('key routes need admin whatever the path case', async () => {
+    const created = await request(app)
+      .post('/Display/Keys')
+      .set('X-API-Key', keys.editor.key)
+      .send({ name: 'escalated', role: 'admin' });
+    expect(created.status).toBe(403);
+    expect(created.body.error).toBe('Requires admin role');
+
+    expect((await request(app).get('/DISPLAY/keys').set('X-API-Key', keys.display.key)).status).toBe(403);
+    expect((await request(app).delete(`/display/KEYS/${keys.admin.id}`).set('X-API-Key', keys.editor.key)).status).toBe(403);
+
+    const listed = await request(app).get('/display/keys').set('X-API-Key', keys.admin.key);
+    expect(listed.body.map(key => key.name)).not.toContain('escalated');
+  });
+});
+
+describe('route ids', () => {
+  const editor = method => path => request(app)[method](path).set('X-API-Key', keys.editor.key);
+
+  test('ids that are not plain names never reach storage', async () => {
+    const keyStore = fs.readFileSync(path.join(dataDir, 'apiKeys.json'), 'utf8');
+    const attempts = [
+      editor('put')('/display/profiles/x%2F..%2FapiKeys').send(profileBody('Overwrite')),
+      editor('put')('/display/cards/x%2F..%2FapiKeys').send({ type: 'text', config: { content: 'x' } }),
+      editor('delete')('/display/cards/x%2F..%2FapiKeys'),
+      editor('put')('/display/screens/x%2F..%2F..%2Fescaped').send({ name: 'Escaped' }),
+      editor('get')('/display/profiles/..%2FapiKeys'),
+      editor('put')('/display/activeProfile').send({ profileId: '../apiKeys' })
+    ];
+    for (const attempt of attempts) {
+      expect((await attempt).status).toBe(400);
+    }
+
+    expect(fs.readFileSync(path.join(dataDir, 'apiKeys.json'), 'utf8')).toBe(keyStore);
+    expect(fs.existsSync(path.join(dataDir, '..', 'escaped.json'))).toBe(false);
+    expect((await request(app).get('/display/keys').set('X-API-Key', keys.admin.key)).status).toBe(200);
+  });
+
+  test('the file store refuses keys outside its directory', async () => {
+    await expect(storage.write('../escaped.json', {})).rejects.toThrow('Invalid storage key');
+    await expect(storage.read('profile-x/../apiKeys.json')).rejects.toThrow('Invalid storage key');
+    await expect(storage.delete('..')).rejects.toThrow('Invalid storage key');
+  });
+});
+
+describe('PATCH documents', () => {
+  const patch = (body, type = 'application/json-patch+json') => request(app)
+    .patch('/display/cards/patch-test')
+    .set('X-API-Key', keys.editor.key)
+    .set('Content-Type', type)
+    .send(JSON.stringify(body));
+
+  beforeAll(async () => {
+    const res = await request(app)
+      .put('/display/cards/patch-test')
+      .set('X-API-Key', keys.editor.key)
+      .send({ type: 'text', config: { content: 'Hello' } });
+    expect(res.status).toBeLessThan(300);
+  });
+
+  test('applies JSON Patch operations', async () => {
+    const res = await patch([{ op: 'replace', path: '/config/content', value: 'Patched' }]);
+    expect(res.status).toBe(200);
+    expect(res.body.config.content).toBe('Patched');
+  });
+
+  test.each([null, false, 0, 'text', []])('rejects replacing the whole document with %p', async value => {
+    const res = await patch([{ op: 'replace', path: '', value }]);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Patched document must be a JSON object');
+  });
+
+  test('rejects unsupported patch formats with Accept-Patch', async () => {
+    const res = await patch({ config: {} }, 'text/plain');
+    expect(res.status).toBe(415);
+    expect(res.headers['accept-patch']).toContain('application/merge-patch+json');
+  });
+});
+
+describe('active profile ETags', () => {
+  const put = (path, body) => request(app).put(path).set('X-API-Key', keys.editor.key).send(body);
+  const getActive = () => request(app).get('/display/activeProfile').set('X-API-Key', keys.display.key);
+
+  beforeAll(async () => {
+    expect((await put('/display/profiles/etag-test', profileBody('ETag test'))).status).toBeLessThan(300);
+    expect((await put('/display/activeProfile', { profileId: 'etag-test' })).status).toBe(200);
+  });
+
+  test('the ETag covers the inlined profile', async () => {
+    const before = await getActive();
+    expect(before.status).toBe(200);
+    expect(before.body.profile.name).toBe('ETag test');
+
+    await put('/display/profiles/etag-test', profileBody('ETag test, renamed'));
+    const after = await getActive();
+    expect(after.body.profile.name).toBe('ETag test, renamed');
+    expect(after.headers.etag).not.toBe(before.headers.etag);
+  });
+
+  test('If-Match on PUT takes the ETag GET sent', async () => {
+    const { headers } = await getActive();
+    const stale = await put('/display/activeProfile', { profileId: 'etag-test' }).set('If-Match', '"stale"');
+    expect(stale.status).toBe(412);
+    expect(stale.body.etag).toBe(headers.etag);
+
+    const fresh = await put('/display/activeProfile', { profileId: 'etag-test' }).set('If-Match', headers.etag);
+    expect(fresh.status).toBe(200);
+    expect((await getActive()).headers.etag).toBe(fresh.headers.etag);
+  });
+});
+
+describe('revisions and trash', () => {
+  const editor = method => (path, body) => request(app)[method](path).set('X-API-Key', keys.editor.key).send(body);
+  const put = editor('put');
+  const post = editor('post');
+  const del = editor('delete');
+
+  test('the first change to a document saved before history existed seeds its old state', async () => {
+    const legacy = { type: 'text', config: { content: 'Legacy' }, id: 'legacy-card', updatedAt: '2026-01-01T00:00:00.000Z' };
+    await storage.write('card-legacy-card.json', legacy);
+
+    expect((await put('/display/cards/legacy-card', { type: 'text', config: { content: 'Edited' } })).status).toBe(200);
+
+    const revisions = await request(app).get('/display/cards/legacy-card/revisions').set('X-API-Key', keys.display.key);
+    expect(revisions.body.map(revision => [revision.rev, revision.action])).toEqual([[2, 'update'], [1, 'seed']]);
+    expect(revisions.body[1].timestamp).toBe(legacy.updatedAt);
+
+    const restored = await post('/display/cards/legacy-card/revisions/1/restore');
+    expect(restored.status).toBe(200);
+    expect(restored.body.config.content).toBe('Legacy');
+  });
+
+  test('restoring a revision checks card references', async () => {
+    await put('/display/cards/history-card', { type: 'text', config: { content: 'Placed' } });
+    await put('/display/profiles/history-profile', profileBody('History', ['history-card']));
+    await put('/display/profiles/history-profile', profileBody('History'));
+    expect((await del('/display/cards/history-card')).status).toBe(204);
+
+    const res = await post('/display/profiles/history-profile/revisions/1/restore');
+    expect(res.status).toBe(400);
+    expect(res.body.missingCards.map(missing => missing.cardId)).toEqual(['history-card']);
+    const current = await request(app).get('/display/profiles/history-profile').set('X-API-Key', keys.display.key);
+    expect(current.body.zones.main.cards).toEqual([]);
+  });
+
+  test('restoring from trash validates the document', async () => {
+    await storage.write('trash-card-broken-card.json', {
+      kind: 'card',
+      id: 'broken-card',
+      deletedAt: new Date().toISOString(),
+      data: { id: 'broken-card', type: 'no-such-type', config: {} }
+    });
+
+    const res = await post('/display/trash/cards/broken-card/restore');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('no-such-type');
+    expect(await storage.read('card-broken-card.json')).toBeNull();
+  });
+});
+
+describe('card references', () => {
+  const editor = method => (path, body) => request(app)[method](path).set('X-API-Key', keys.editor.key).send(body);
+  const put = editor('put');
+  const del = editor('delete');
+  const get = path => request(app).get(path).set('X-API-Key', keys.display.key);
+
+  test('profiles naming missing cards are only saved with allowMissing', async () => {
+    const body = profileBody('Missing', ['ref-present', 'ref-absent']);
+    await put('/display/cards/ref-present', { type: 'text', config: { content: 'Here' } });
+
+    const rejected = await put('/display/profiles/ref-missing', body);
+    expect(rejected.status).toBe(400);
+    expect(rejected.body.missingCards).toEqual([{ zone: 'main', cardId: 'ref-absent' }]);
+    expect(await storage.read('profile-ref-missing.json')).toBeNull();
+
+    const saved = await put('/display/profiles/ref-missing?allowMissing=true', body);
+    expect(saved.status).toBeLessThan(300);
+    expect(saved.body.warnings).toEqual({ missingCards: [{ zone: 'main', cardId: 'ref-absent' }] });
+  });
+
+  test('cards in use are only deleted with cascade, which takes them out of their profiles', async () => {
+    await put('/display/cards/ref-used', { type: 'text', config: { content: 'Used' } });
+    await put('/display/cards/ref-kept', { type: 'text', config: { content: 'Kept' } });
+    const profile = {
+      name: 'Rotating',
+      zones: {
+        main: {
+          width: 100,
+          height: 100,
+          cards: ['ref-used', 'ref-kept'],
+          rotation: { cardDwell: { 'ref-used': 5000, 'ref-kept': 8000 } }
+        }
+      }
+    };
+    expect((await put('/display/profiles/ref-rotating', profile)).status).toBeLessThan(300);
+
+    const usage = await get('/display/cards/ref-used/usage');
+    expect(usage.body).toEqual({ cardId: 'ref-used', usedBy: [{ profileId: 'ref-rotating', name: 'Rotating', zones: ['main'] }] });
+
+    const blocked = await del('/display/cards/ref-used');
+    expect(blocked.status).toBe(409);
+    expect(blocked.body.usedBy.map(item => item.profileId)).toEqual(['ref-rotating']);
+    expect(await storage.read('card-ref-used.json')).not.toBeNull();
+
+    expect((await del('/display/cards/ref-used?cascade=true')).status).toBe(204);
+    expect(await storage.read('card-ref-used.json')).toBeNull();
+    const { zones } = await storage.read('profile-ref-rotating.json');
+    expect(zones.main.cards).toEqual(['ref-kept']);
+    expect(zones.main.rotation.cardDwell).toEqual({ 'ref-kept': 8000 });
+    expect((await get('/display/cards/ref-kept/usage')).body.usedBy).toHaveLength(1);
+  });
+
+  test('the integrity report lists dangling, unused and unresolvable references', async () => {
+    await put('/display/cards/ref-unused', { type: 'text', config: { content: 'Alone' } });
+    await storage.write('profile-ref-orphan.json', { id: 'ref-orphan', extends: 'ref-no-base', zones: {} });
+
+    const report = await get('/display/integrity');
+    expect(report.status).toBe(200);
+    expect(report.body.ok).toBe(false);
+    expect(report.body.issues).toEqual(expect.arrayContaining([
+      { severity: 'error', type: 'danglingCard', profileId: 'ref-missing', zone: 'main', cardId: 'ref-absent' },
+      { severity: 'info', type: 'unusedCard', cardId: 'ref-unused' },
+      { severity: 'error', type: 'missingBaseProfile', profileId: 'ref-orphan', baseProfileId: 'ref-no-base' }
+    ]));
+    expect(report.body.summary.errors).toBe(report.body.issues.filter(issue => issue.severity === 'error').length);
+
+    await storage.delete('profile-ref-orphan.json');
+  });
+});
+
+describe('profile inheritance', () => {
+  const put = (path, body) => request(app).put(path).set('X-API-Key', keys.editor.key).send(body);
+
+  test('saving a base reports the extending profiles it breaks', async () => {
+    const base = profileBody('Base');
+    base.zones.side = { width: 100, height: 100, cards: [] };
+    expect((await put('/display/profiles/inherit-base', base)).status).toBe(200);
+    expect((await put('/display/profiles/inherit-child', { name: 'Child', extends: 'inherit-base', zones: { side: { cards: [] } } })).status).toBe(200);
+    expect((await put('/display/profiles/inherit-grandchild', { name: 'Grandchild', extends: 'inherit-child' })).status).toBe(200);
+
+    const unchanged = await put('/display/profiles/inherit-base', base);
+    expect(unchanged.body.warnings).toBeUndefined();
+
+    // Without the base's side zone, the child's override has no size
+    const res = await put('/display/profiles/inherit-base', profileBody('Base'));
+    expect(res.status).toBe(200);
+    expect(res.body.warnings.brokenProfiles.map(broken => broken.profileId)).toEqual(['inherit-child', 'inherit-grandchild']);
+    expect(res.body.warnings.brokenProfiles[0].error).toMatch(/^Profile merged with its base is invalid/);
+  });
+});
+
+describe('bundle import', () => {
+  const importBundle = (bundle, query = '') => request(app)
+    .post(`/display/import${query}`)
+    .set('X-API-Key', keys.editor.key)
+    .send(bundle);
+
+  const bundle = (profileId, cardId) => ({
+    format: 'projector-bundle',
+    version: 1,
+    profile: { id: profileId, ...profileBody('Imported', [cardId]) },
+    cards: [{ id: cardId, type: 'text', config: { content: 'Imported' } }]
+  });
+
+  test('rejects ids that are not plain names', async () => {
+    for (const [profileId, cardId] of [['../apiKeys', 'import-card'], ['import-profile', '../../etc/passwd'], ['a/b', 'c']]) {
+      const res = await importBundle(bundle(profileId, cardId));
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/pattern/);
+    }
+  });
+
+  test('cards are checked against their data provider before anything is written', async () => {
+    const invalid = bundle('import-provider-profile', 'import-provider-card');
+    invalid.cards[0].config.provider = 'nope';
+    invalid.cards[0].config.providerOptions = { maxRows: 999 };
+
+    const res = await importBundle(invalid);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Card import-provider-card: Unknown provider: nope');
+    expect(await storage.read('card-import-provider-card.json')).toBeNull();
+    expect(await storage.read('profile-import-provider-profile.json')).toBeNull();
+
+    const direct = await request(app).put('/display/cards/import-provider-card').set('X-API-Key', keys.editor.key).send(invalid.cards[0]);
+    expect(direct.status).toBe(400);
+  });
+
+  test('documents that only differ in key order are unchanged', async () => {
+    expect((await importBundle(bundle('import-profile', 'import-card'))).status).toBeLessThan(300);
+
+    const exported = await request(app).get('/display/profiles/import-profile/export').set('X-API-Key', keys.display.key);
+    const reorder = value => Object.fromEntries(Object.entries(value).reverse());
+    const reordered = {
+      ...exported.body,
+      profile: reorder(exported.body.profile),
+      cards: exported.body.cards.map(card => ({ ...reorder(card), config: reorder(card.config) }))
+    };
+
+    const res = await importBundle(reordered, '?dryRun=true');
+    expect(res.status).toBe(200);
+    expect(res.body.steps.map(step => step.action)).toEqual(['unchanged', 'unchanged']);
+  });
+});
+
+describe('snapshots', () => {
+  test('renders the active profile as PNG and HTML', async () => {
+    const image = await request(app)
+      .get('/api/profile/active/snapshot.png?width=320&height=180')
+      .set('X-API-Key', keys.display.key)
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+    expect(image.status).toBe(200);
+    expect(image.headers['content-type']).toBe('image/png');
+    expect(image.body.readUInt32BE(16)).toBe(320);
+    expect(image.body.readUInt32BE(20)).toBe(180);
+
+    const page = await request(app).get('/api/profile/active/snapshot.html').set('X-API-Key', keys.display.key);
+    expect(page.status).toBe(200);
+    expect(page.text).toContain('<html');
+  });
+});
+
+describe('audit log', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  test('a failure to record an entry is logged without failing the change', async () => {
+    const auditLog = require('./auditLog');
+    jest.spyOn(auditLog, 'record').mockRejectedValueOnce(new Error('disk full'));
+    const logged = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await request(app)
+      .put('/display/cards/audit-test')
+      .set('X-API-Key', keys.editor.key)
+      .send({ type: 'text', config: { content: 'Audited' } });
+    expect(res.status).toBeLessThan(300);
+    expect((await storage.read('card-audit-test.json')).config.content).toBe('Audited');
+    expect(logged).toHaveBeenCalledWith('[ERROR] Failed to record audit entry', expect.stringContaining('disk full'));
+  });
+});
+
+describe('schedule', () => {
+  const editor = method => (path, body) => request(app)[method](path).set('X-API-Key', keys.editor.key).send(body);
+  const put = editor('put');
+  const post = editor('post');
+  const del = editor('delete');
+
+  afterEach(async () => {
+    await storage.delete('schedule.json');
+  });
+
+  test('profiles used by schedule rules or overrides cannot be deleted', async () => {
+    await put('/display/profiles/scheduled-profile', profileBody('Scheduled'));
+    const rule = await post('/display/schedule/rules', { profileId: 'scheduled-profile', days: ['sat'] });
+    expect(rule.status).toBe(201);
+    await put('/display/schedule/override', { profileId: 'scheduled-profile', durationMinutes: 30 });
+
+    const blocked = await del('/display/profiles/scheduled-profile');
+    expect(blocked.status).toBe(409);
+    expect(blocked.body).toMatchObject({ rules: [rule.body.id], overrides: ['default'] });
+
+    await del(`/display/schedule/rules/${rule.body.id}`);
+    await del('/display/schedule/override');
+    expect((await del('/display/profiles/scheduled-profile')).status).toBe(204);
+  });
+
+  test('rules whose date range ends before it starts are rejected', async () => {
+    const res = await post('/display/schedule/rules', { profileId: 'etag-test', startDate: '2026-10-20', endDate: '2026-10-19' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('"startDate" must not be after "endDate"');
+
+    const oneDay = await post('/display/schedule/rules', { profileId: 'etag-test', startDate: '2026-10-20', endDate: '2026-10-20' });
+    expect(oneDay.status).toBe(201);
+    const inverted = await put(`/display/schedule/rules/${oneDay.body.id}`, { profileId: 'etag-test', startDate: '2026-11-01', endDate: '2026-10-01' });
+    expect(inverted.status).toBe(400);
+  });
+
+  test('deleting a screen drops its override, and integrity reports overrides for unknown screens', async () => {
+    expect((await put('/display/screens/lobby', { name: 'Lobby' })).status).toBe(200);
+    expect((await put('/display/schedule/override', { screenId: 'lobby', profileId: 'etag-test', durationMinutes: 30 })).status).toBe(200);
+    expect((await del('/display/screens/lobby')).status).toBe(204);
+    expect((await storage.read('schedule.json')).overrides).toEqual({});
+
+    const expiresAt = new Date(Date.now() + 60000).toISOString();
+    await storage.write('schedule.json', { rules: [], overrides: { gone: { profileId: 'etag-test', expiresAt } } });
+    const report = await request(app).get('/display/integrity').set('X-API-Key', keys.display.key);
+    expect(report.body.issues).toContainEqual({ severity: 'warning', type: 'overrideUnknownScreen', screenId: 'gone', profileId: 'etag-test' });
+  });
+
+  test('a schedule stored with a single override reads as per-screen overrides', async () => {
+    const override = { profileId: 'etag-test', expiresAt: new Date(Date.now() + 60000).toISOString(), createdAt: new Date().toISOString() };
+    await storage.write('schedule.json', { rules: [], override });
+
+    const schedule = await request(app).get('/display/schedule').set('X-API-Key', keys.display.key);
+    expect(schedule.body).toEqual({ rules: [], overrides: { default: override } });
+
+    const preview = await request(app).get('/display/schedule/preview').set('X-API-Key', keys.display.key);
+    expect(preview.body).toMatchObject({ profileId: 'etag-test', reason: 'override' });
+  });
+});
+
+describe('profile stream', () => {
+  const put = (path, body) => request(app).put(path).set('X-API-Key', keys.editor.key).send(body);
+  let server;
+
+  // Collects the events of one SSE connection; waitFor resolves false if
+  // they don't arrive in time
+  function openStream(headers = {}) {
+    const events = [];
+    let waiting = null;
+    const check = () => {
+      if (waiting && waiting.predicate(events)) {
+        waiting.done(true);
+      }
+    };
+
+    const req = http.get({
+      port: server.address().port,
+      path: '/api/profile/active/stream',
+      headers: { 'X-API-Key': keys.display.key, ...headers }
+    }, res => {
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        const blocks = (buffer + chunk).split('\n\n');
+        buffer = blocks.pop();
+        blocks.forEach(block => {
+          const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+          if (fields.event) {
+            events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+          }
+        });
+        check();
+      });
+    });
+    req.on('error', () => {});
+
+    return {
+      events,
+      waitFor(predicate, ms = 3000) {
+        return new Promise(resolve => {
+          const timer = setTimeout(() => waiting.done(false), ms);
+          waiting = {
+            predicate,
+            done: result => {
+              clearTimeout(timer);
+              waiting = null;
+              resolve(result);
+            }
+          };
+          check();
+        });
+      },
+      close: () => req.destroy()
+    };
+  }
+
+  const named = (events, name) => events.filter(item => item.event === name);
+
+  beforeAll(async () => {
+    expect((await put('/display/cards/stream-card', { type: 'text', config: { content: 'First' } })).status).toBeLessThan(300);
+    expect((await put('/display/profiles/stream-profile', profileBody('Streamed', ['stream-card']))).status).toBeLessThan(300);
+    expect((await put('/display/activeProfile', { profileId: 'stream-profile' })).status).toBe(200);
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('sends the profile on connect and only again when it changes', async () => {
+    const first = openStream();
+    expect(await first.waitFor(events => named(events, 'rotation').length > 0)).toBe(true);
+    const [profile] = named(first.events, 'profile');
+    expect(profile.id).toMatch(/^[0-9a-f]{40}$/);
+    expect(profile.data.name).toBe('Streamed');
+    expect(JSON.stringify(profile.data)).toContain('First');
+
+    // A reconnect that already has this profile only gets the rotation state
+    const resumed = openStream({ 'Last-Event-ID': profile.id });
+    expect(await resumed.waitFor(events => named(events, 'rotation').length > 0)).toBe(true);
+    expect(named(resumed.events, 'profile')).toEqual([]);
+
+    expect((await put('/display/cards/stream-card', { type: 'text', config: { content: 'Second' } })).status).toBe(200);
+    const pushed = events => named(events, 'profile').some(item => JSON.stringify(item.data).includes('Second'));
+    expect(await first.waitFor(pushed)).toBe(true);
+    expect(await resumed.waitFor(pushed)).toBe(true);
+    expect(named(resumed.events, 'profile')[0].id).not.toBe(profile.id);
+
+    first.close();
+    resumed.close();
+  });
+
+  test('ticks rotating zones when their carousel advances', async () => {
+    await put('/display/cards/stream-card-2', { type: 'text', config: { content: 'Other' } });
+    const rotating = profileBody('Rotating', ['stream-card', 'stream-card-2']);
+    rotating.zones.main.rotation = { dwell: 1000 };
+    expect((await put('/display/profiles/stream-rotating', rotating)).status).toBeLessThan(300);
+    expect((await put('/display/activeProfile', { profileId: 'stream-rotating' })).status).toBe(200);
+
+    const stream = openStream();
+    expect(await stream.waitFor(events => named(events, 'rotation').length >= 2)).toBe(true);
+    stream.close();
+
+    const [initial, tick] = named(stream.events, 'rotation');
+    expect(Object.keys(initial.data.zones)).toEqual(['main']);
+    expect(tick.data.serverTime).toBe(initial.data.zones.main.nextChangeAt);
+    expect(tick.data.zones.main.startedAt).toBe(initial.data.zones.main.nextChangeAt);
+    expect(tick.data.zones.main.slot).toBe((initial.data.zones.main.slot + 1) % 2);
+  });
+});
@@ -0,0 +1,79 @@
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+// One JSON file per key in a data directory. Keys are file names such as
+// `profile-<id>.json`.
+class FileStore {
+  constructor(dir) {
+    this.name = 'file';
+    this.dir = dir;
+  }
+
+  // Keys are plain file names, so one holding a path separator or ".."
+  // could never name a document here and would reach outside this.dir
+  filePath(key) {
+    if (path.basename(key) !== key || key === '..') {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(this.dir, key);
+  }
+
+  async init() {
+    try {
+      await fs.access(this.dir);
+    } catch {
+      await fs.mkdir(this.dir, { recursive: true });
+      console.log(`[Storage] Created data directory ${this.dir}`);
+    }
+  }
+
+  async read(key, defaultValue = null) {
+    try {
+      const filePath = this.filePath(key);
+      const data = await fs.readFile(filePath, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return defaultValue;
+      }
+      throw error;
+    }
+  }
+
+  async write(key, data) {
+    const filePath = this.filePath(key);
+    // Unique per write so concurrent writers never share a temp file
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    
+    try {
+      await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      try {
+        await fs.unlink(tempPath);
+      } catch {}
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    const filePath = this.filePath(key);
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  async list(prefix = '') {
+    const files = await fs.readdir(this.dir);
+    return files.filter(f => f.startsWith(prefix) && f.endsWith('.json'));
+  }
+
+  async close() {}
+}
+
+module.exports = FileStore;
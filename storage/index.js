@@ -0,0 +1,78 @@
+const path = require('path');
+const FileStore = require('./fileStore');
+
+// Every backend implements the same document interface:
+//
+//   init()                      prepare the backend
+//   read(key, defaultValue)     parsed document, or defaultValue if missing
+//   write(key, data)            create or replace a document
+//   delete(key)                 remove a document, ignoring missing keys
+//   list(prefix)                keys starting with prefix
+//   close()                     release resources
+//
+// readAll() and withLock() are layered on top for every backend. The SQLite backend is
+// required lazily: better-sqlite3 is an optional dependency, so file-only
+// installs work even where the native module fails to build.
+const BACKENDS = {
+  file: (options) => new FileStore(options.dataDir),
+  sqlite: (options) => {
+    let SqliteStore;
+    try {
+      SqliteStore = require('./sqliteStore');
+    } catch (error) {
+      if (error.code === 'MODULE_NOT_FOUND' && error.message.includes('better-sqlite3')) {
+        throw new Error('The sqlite storage backend needs the better-sqlite3 package (npm install better-sqlite3)');
+      }
+      throw error;
+    }
+    return new SqliteStore(options.sqlitePath || path.join(options.dataDir, 'projector.db'));
+  }
+};
+
+async function readAll(prefix) {
+  const keys = await this.list(prefix);
+  const entries = await Promise.all(
+    keys.map(async (key) => {
+      try {
+        return await this.read(key, null);
+      } catch (error) {
+        console.warn(`[Storage] Failed to read ${key}:`, error.message);
+        return null;
+      }
+    })
+  );
+  return entries.filter(entry => entry !== null);
+}
+
+// Runs fn once every earlier withLock(key) call has settled, so
+// read-check-write sequences on one document never interleave
+function withLock(key, fn) {
+  const previous = this.locks.get(key) || Promise.resolve();
+  const run = previous.then(() => fn(), () => fn());
+  const tail = run.catch(() => {});
+  this.locks.set(key, tail);
+  tail.then(() => {
+    if (this.locks.get(key) === tail) {
+      this.locks.delete(key);
+    }
+  });
+  return run;
+}
+
+function createStorage(options) {
+  const backend = options.backend || 'file';
+  if (!BACKENDS[backend]) {
+    throw new Error(`Unknown storage backend: ${backend} (expected one of ${Object.keys(BACKENDS).join(', ')})`);
+  }
+
+  const store = BACKENDS[backend](options);
+  store.readAll = readAll;
+  store.locks = new Map();
+  store.withLock = withLock;
+  return store;
+}
+
+module.exports = {
+  BACKENDS: Object.keys(BACKENDS),
+  createStorage
+};
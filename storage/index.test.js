@@ -0,0 +1,59 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BACKENDS, createStorage } = require('./index');
+
+let dataDir;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'projector-storage-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+describe.each(BACKENDS)('%s backend', backend => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = createStorage({ backend, dataDir });
+    await storage.init();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  test('reads back what it wrote, replaces and deletes', async () => {
+    expect(await storage.read('profile-a.json')).toBeNull();
+    expect(await storage.read('profile-a.json', { fallback: true })).toEqual({ fallback: true });
+
+    await storage.write('profile-a.json', { id: 'a', zones: { main: { cards: ['x'] } } });
+    expect(await storage.read('profile-a.json')).toEqual({ id: 'a', zones: { main: { cards: ['x'] } } });
+    await storage.write('profile-a.json', { id: 'a', name: 'Replaced' });
+    expect(await storage.read('profile-a.json')).toEqual({ id: 'a', name: 'Replaced' });
+
+    await storage.delete('profile-a.json');
+    await storage.delete('profile-a.json');
+    expect(await storage.read('profile-a.json')).toBeNull();
+  });
+
+  test('lists keys by prefix, treating wildcard characters literally', async () => {
+    await storage.write('card-one.json', { id: 'one' });
+    await storage.write('card-two.json', { id: 'two' });
+    await storage.write('card_x.json', { id: 'x' });
+    await storage.write('profile-one.json', { id: 'one' });
+
+    expect((await storage.list('card-')).sort()).toEqual(['card-one.json', 'card-two.json']);
+    expect(await storage.list('card_')).toEqual(['card_x.json']);
+    expect((await storage.readAll('profile-')).map(doc => doc.id)).toEqual(['one']);
+    expect(await storage.list('')).toHaveLength(4);
+  });
+});
+
+test('unknown backends are rejected', () => {
+  expect(() => createStorage({ backend: 'redis', dataDir })).toThrow('Unknown storage backend: redis');
+});
@@ -0,0 +1,65 @@
+const path = require('path');
+const fs = require('fs').promises;
+const Database = require('better-sqlite3');
+
+// Every document is a row in a single key/value table, keyed exactly like
+// the file store so data can move between the two unchanged.
+class SqliteStore {
+  constructor(filename) {
+    this.name = 'sqlite';
+    this.filename = filename;
+    this.db = null;
+  }
+
+  async init() {
+    await fs.mkdir(path.dirname(this.filename), { recursive: true });
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS documents (
+        key TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    this.statements = {
+      read: this.db.prepare('SELECT data FROM documents WHERE key = ?'),
+      write: this.db.prepare(`
+        INSERT INTO documents (key, data, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+      `),
+      delete: this.db.prepare('DELETE FROM documents WHERE key = ?'),
+      list: this.db.prepare("SELECT key FROM documents WHERE key LIKE ? ESCAPE '\\' ORDER BY key")
+    };
+    console.log(`[Storage] Opened SQLite database ${this.filename}`);
+  }
+
+  async read(key, defaultValue = null) {
+    const row = this.statements.read.get(key);
+    return row ? JSON.parse(row.data) : defaultValue;
+  }
+
+  async write(key, data) {
+    this.statements.write.run(key, JSON.stringify(data), new Date().toISOString());
+  }
+
+  async delete(key) {
+    this.statements.delete.run(key);
+  }
+
+  async list(prefix = '') {
+    const pattern = `${prefix.replace(/[\\%_]/g, match => `\\${match}`)}%`;
+    return this.statements.list.all(pattern).map(row => row.key);
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteStore;
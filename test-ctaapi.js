@@ -1,7 +1,12 @@
 const http = require('http');
 
+function minutesFromNow(minutes) {
+  return new Date(Date.now() + minutes * 60 * 1000).toISOString();
+}
+
 const mockData = {
-  '/api/data': [
+  // Arrivals are generated per request so their times stay in the future
+  '/api/data': () => [
     {
       route: "Red Line",
       destination: "Howard", 
@@ -13,9 +18,14 @@ const mockData = {
       destination: "O'Hare",
       arrival_time: "2:20 PM", 
       minutes_away: 8
-    }
+    },
+    { route: "Red Line", destination: "95th/Dan Ryan", direction: "S", stop_id: "30174", stop_name: "Fullerton", minutes_away: 2 },
+    { route: "Brown Line", destination: "Kimball", direction: "N", stop_id: "30231", stop_name: "Fullerton", arrival_time: minutesFromNow(7) },
+    { route: "Red Line", destination: "Howard", direction: "N", stop_id: "30173", stop_name: "Fullerton", arrival_time: minutesFromNow(12) },
+    { route: "Blue Line", destination: "O'Hare", direction: "N", stop_id: "30375", stop_name: "Damen", arrival_time: minutesFromNow(8) },
+    { route: "Blue Line", destination: "Forest Park", direction: "S", stop_id: "30376", stop_name: "Damen", arrival_time: minutesFromNow(3) }
   ],
-  '/api/events': [
+  '/api/events': () => [
     {
       title: "Team Meeting",
       start_time: "3:00 PM",
@@ -26,23 +36,60 @@ const mockData = {
       title: "Doctor Appointment",
       start_time: "4:30 PM",
       description: "Annual checkup"
+    },
+    {
+      title: "Design Review",
+      start_time: minutesFromNow(-10),
+      end_time: minutesFromNow(20),
+      location: "Room 4"
+    },
+    {
+      title: "Office Closed",
+      start_time: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+      all_day: true
     }
   ],
   '/api/habitica': {
     tasks: [
       {
+        id: "task-docs",
         text: "Complete project documentation",
         type: "todo",
         priority: "high",
         completed: false,
-        difficulty: 2
+        difficulty: 2,
+        date: "2026-10-24"
       },
       {
+        id: "task-review",
         text: "Review pull requests",
         type: "todo", 
         priority: "medium",
         completed: true,
         difficulty: 1
+      },
+      {
+        id: "task-dishes",
+        text: "Empty the dishwasher",
+        type: "daily",
+        priority: 1,
+        completed: false
+      },
+      {
+        id: "task-water",
+        text: "Drink water",
+        type: "habit",
+        priority: 0.1,
+        counterUp: 0,
+        counterDown: 0
+      },
+      {
+        id: "task-taxes",
+        text: "File taxes",
+        type: "todo",
+        priority: 2,
+        completed: false,
+        date: "2026-10-20"
       }
     ]
   }
@@ -54,9 +101,30 @@ const server = http.createServer((req, res) => {
   res.setHeader('Content-Type', 'application/json');
   res.setHeader('Access-Control-Allow-Origin', '*');
   
-  if (mockData[req.url]) {
+  // Scoring works like Habitica's: up completes todos and dailies (or bumps
+  // a habit's counter), down reopens them
+  const score = /^\/api\/habitica\/tasks\/([^/]+)\/score\/(up|down)$/.exec(req.url);
+  if (req.method === 'POST' && score) {
+    const task = mockData['/api/habitica'].tasks.find(candidate => candidate.id === decodeURIComponent(score[1]));
+    if (!task) {
+      res.writeHead(404);
+      res.end(JSON.stringify({ success: false, error: 'Task not found' }));
+      return;
+    }
+    if (task.type === 'habit') {
+      task[score[2] === 'up' ? 'counterUp' : 'counterDown']++;
+    } else {
+      task.completed = score[2] === 'up';
+    }
+    res.writeHead(200);
+    res.end(JSON.stringify({ success: true, data: task }));
+    return;
+  }
+
+  if (req.method === 'GET' && mockData[req.url]) {
     res.writeHead(200);
-    res.end(JSON.stringify(mockData[req.url]));
+    const body = typeof mockData[req.url] === 'function' ? mockData[req.url]() : mockData[req.url];
+    res.end(JSON.stringify(body));
   } else {
     res.writeHead(404);
     res.end(JSON.stringify({ error: 'Not found' }));
@@ -0,0 +1,74 @@
+const profileSchedule = require('./profileSchedule');
+
+// Turns the time values upstream feeds send into instants: epoch numbers,
+// ISO timestamps with or without an offset, CTA "YYYYMMDD HH:MM:SS" stamps
+// and bare wall-clock times like "2:15 PM". Anything without an offset is
+// read in the given time zone; bare times land on the day that puts them
+// closest to `reference` (usually when the data was fetched).
+
+const DATE_ONLY = /^(\d{4})-?(\d{2})-?(\d{2})$/;
+const WITH_OFFSET = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i;
+
+function nearestDay(time, reference, timeZone) {
+  const { date } = profileSchedule.localTime(reference, timeZone);
+  return [-1, 0, 1]
+    .map(days => profileSchedule.toInstant(profileSchedule.shiftDate(date, days), time, timeZone))
+    .reduce((best, candidate) => (
+      Math.abs(candidate - reference) < Math.abs(best - reference) ? candidate : best
+    ));
+}
+
+const timeParsing = {
+  // "2026-10-19" or "20261019" -> "2026-10-19"; null for anything else
+  parseDate(value) {
+    const match = DATE_ONLY.exec(String(value).trim());
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+  },
+
+  // Whether a value names an instant by itself (epoch numbers, offset
+  // timestamps) rather than depending on the time zone it is read in
+  isAbsolute(value) {
+    return typeof value === 'number' || WITH_OFFSET.test(String(value).trim());
+  },
+
+  // Returns a Date, or null when the value isn't a recognizable time
+  parse(value, reference = new Date(), timeZone = profileSchedule.DEFAULT_TIMEZONE) {
+    if (typeof value === 'number') {
+      // Epoch seconds or milliseconds
+      return Number.isFinite(value) ? new Date(value < 1e12 ? value * 1000 : value) : null;
+    }
+
+    const raw = String(value).trim();
+
+    // Timestamps with an explicit offset or Z
+    if (WITH_OFFSET.test(raw)) {
+      const date = new Date(raw);
+      return Number.isNaN(date.getTime()) ? null : date;
+    }
+
+    // Local timestamps: 2026-10-19T14:15:00, 2026-10-19 14:15, 20261019 14:15:00
+    const local = /^(\d{4})-?(\d{2})-?(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(raw);
+    if (local) {
+      const [, year, month, day, hours, minutes, seconds = '00'] = local;
+      return profileSchedule.toInstant(`${year}-${month}-${day}`, `${hours}:${minutes}:${seconds}`, timeZone);
+    }
+
+    // Wall-clock times: 14:15, 2:15 PM, 2:15pm
+    const clock = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap])\.?m?\.?$/i.exec(raw) || /^(\d{1,2}):(\d{2})(?::(\d{2}))?()$/.exec(raw);
+    if (clock) {
+      let hours = Number(clock[1]);
+      const meridiem = clock[4].toLowerCase();
+      if (hours > 23 || Number(clock[2]) > 59 || (meridiem && (hours < 1 || hours > 12))) {
+        return null;
+      }
+      if (meridiem) {
+        hours = (hours % 12) + (meridiem === 'p' ? 12 : 0);
+      }
+      return nearestDay(`${String(hours).padStart(2, '0')}:${clock[2]}:${clock[3] || '00'}`, reference, timeZone);
+    }
+
+    return null;
+  }
+};
+
+module.exports = timeParsing;
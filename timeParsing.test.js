@@ -0,0 +1,63 @@
+const timeParsing = require('./timeParsing');
+
+const chicago = 'America/Chicago';
+const reference = new Date('2026-10-19T15:00:00.000Z'); // 10:00 AM in Chicago
+const parse = (value, timeZone = chicago, at = reference) => {
+  const date = timeParsing.parse(value, at, timeZone);
+  return date && date.toISOString();
+};
+
+describe('parse', () => {
+  test('reads epoch seconds and milliseconds', () => {
+    expect(parse(1792422000)).toBe('2026-10-19T15:00:00.000Z');
+    expect(parse(1792422000000)).toBe('2026-10-19T15:00:00.000Z');
+    expect(parse(NaN)).toBeNull();
+  });
+
+  test('takes timestamps with an offset as they are', () => {
+    expect(parse('2026-10-19T10:05:00-05:00')).toBe('2026-10-19T15:05:00.000Z');
+    expect(parse('2026-10-19T15:05:00.250Z', 'Asia/Tokyo')).toBe('2026-10-19T15:05:00.250Z');
+    expect(parse('2026-10-19T15:05+0100')).toBe('2026-10-19T14:05:00.000Z');
+  });
+
+  test('reads local and CTA timestamps in the time zone', () => {
+    expect(parse('2026-10-19T10:05:00')).toBe('2026-10-19T15:05:00.000Z');
+    expect(parse('2026-10-19 10:05')).toBe('2026-10-19T15:05:00.000Z');
+    expect(parse('20261019 10:05:30')).toBe('2026-10-19T15:05:30.000Z');
+    expect(parse('2026-10-19 10:05', 'UTC')).toBe('2026-10-19T10:05:00.000Z');
+  });
+
+  test('puts wall-clock times on the day nearest the reference', () => {
+    expect(parse('10:12 AM')).toBe('2026-10-19T15:12:00.000Z');
+    expect(parse('2:15pm')).toBe('2026-10-19T19:15:00.000Z');
+    expect(parse('14:15:05')).toBe('2026-10-19T19:15:05.000Z');
+    expect(parse('12:00 a.m.')).toBe('2026-10-19T05:00:00.000Z');
+    // Just after midnight, a late-evening time is yesterday's
+    expect(parse('11:58 PM', chicago, new Date('2026-10-20T05:01:00.000Z'))).toBe('2026-10-20T04:58:00.000Z');
+    // Late in the evening, an early-morning time is tomorrow's
+    expect(parse('12:05 AM', chicago, new Date('2026-10-20T04:55:00.000Z'))).toBe('2026-10-20T05:05:00.000Z');
+  });
+
+  test.each(['soon', '', '25:00', '10:75', '0:15 PM', '13:00 PM', '2026-13-45T10:00:00Z'])('rejects %j', value => {
+    expect(parse(value)).toBeNull();
+  });
+});
+
+describe('parseDate', () => {
+  test('accepts dashed and compact dates only', () => {
+    expect(timeParsing.parseDate('2026-10-19')).toBe('2026-10-19');
+    expect(timeParsing.parseDate(' 20261019 ')).toBe('2026-10-19');
+    expect(timeParsing.parseDate('2026-10-19T10:00')).toBeNull();
+    expect(timeParsing.parseDate('Oct 19')).toBeNull();
+  });
+});
+
+describe('isAbsolute', () => {
+  test('is true only for values that need no time zone', () => {
+    expect(timeParsing.isAbsolute(1792422000)).toBe(true);
+    expect(timeParsing.isAbsolute('2026-10-19T15:05:00Z')).toBe(true);
+    expect(timeParsing.isAbsolute('2026-10-19T10:05:00-05:00')).toBe(true);
+    expect(timeParsing.isAbsolute('2026-10-19T10:05:00')).toBe(false);
+    expect(timeParsing.isAbsolute('2:15 PM')).toBe(false);
+  });
+});
@@ -0,0 +1,145 @@
+const profileSchedule = require('./profileSchedule');
+const timeParsing = require('./timeParsing');
+
+// Normalizes CTAAPI arrival rows and picks the ones a transit card shows.
+// Upstream rows come in a few shapes (our own snake_case, camelCase, raw CTA
+// Train Tracker fields) with an arrival time (see timeParsing), a
+// minutes-away count or both. A relative count beats a wall-clock time, which
+// is only as good as our guess at the feed's time zone. Everything becomes an
+// ISO arrivalTime anchored to when the data was fetched; minutesAway is then
+// worked out against the current time, so it keeps counting down while the
+// cache ages.
+
+const FIELDS = {
+  route: ['route', 'rt', 'routeName'],
+  destination: ['destination', 'destNm', 'dest'],
+  direction: ['direction', 'trDr', 'dir'],
+  stopId: ['stop_id', 'stopId', 'stpId', 'staId', 'stop'],
+  stopName: ['stop_name', 'stopName', 'staNm', 'stpDe'],
+  arrivalTime: ['arrival_time', 'arrivalTime', 'arrT'],
+  minutesAway: ['minutes_away', 'minutesAway']
+};
+
+// Arrivals this far in the past are still shown as due
+const DUE_GRACE = 60 * 1000;
+
+function field(row, name) {
+  const key = FIELDS[name].find(candidate => row[candidate] !== undefined && row[candidate] !== null && row[candidate] !== '');
+  return key ? row[key] : null;
+}
+
+function text(value) {
+  return value === null ? null : String(value).trim();
+}
+
+// "5", "5 min", 5 -> 5; "Due"/"Now" -> 0; anything else -> null
+function parseMinutes(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(?:m|min|mins|minutes?)?\s*$/i.exec(String(value));
+  if (match) {
+    return Number(match[1]);
+  }
+  return /^\s*(due|now|arriving|approaching)\s*$/i.test(String(value)) ? 0 : null;
+}
+
+function matchesAny(value, filters) {
+  if (!filters || filters.length === 0) {
+    return true;
+  }
+  if (value === null) {
+    return false;
+  }
+  const normalized = String(value).toLowerCase();
+  return filters.some(filter => String(filter).toLowerCase() === normalized);
+}
+
+const transitArrivals = {
+  FIELDS,
+
+  // Rows may arrive as a bare array or wrapped in { arrivals } / { eta }
+  rows(data) {
+    if (Array.isArray(data)) {
+      return data;
+    }
+    if (data && Array.isArray(data.arrivals)) {
+      return data.arrivals;
+    }
+    if (data && Array.isArray(data.eta)) {
+      return data.eta;
+    }
+    return null;
+  },
+
+  // One upstream row -> { route, destination, direction, stopId, stopName,
+  // arrivalTime }, where arrivalTime is ISO or null when the row has no
+  // usable time. `fetchedAt` anchors relative and date-less times.
+  normalize(row, fetchedAt, timeZone = profileSchedule.DEFAULT_TIMEZONE) {
+    const reference = fetchedAt ? new Date(fetchedAt) : new Date();
+    const rawArrival = field(row, 'arrivalTime');
+    const rawMinutes = field(row, 'minutesAway');
+    const minutes = rawMinutes !== null ? parseMinutes(rawMinutes) : null;
+
+    let arrival = null;
+    if (rawArrival !== null && (minutes === null || timeParsing.isAbsolute(rawArrival))) {
+      arrival = timeParsing.parse(rawArrival, reference, timeZone);
+    }
+    if ((!arrival || Number.isNaN(arrival.getTime())) && minutes !== null) {
+      arrival = new Date(reference.getTime() + minutes * 60 * 1000);
+    }
+
+    return {
+      route: text(field(row, 'route')) || 'Unknown Route',
+      destination: text(field(row, 'destination')) || 'Unknown Destination',
+      direction: text(field(row, 'direction')),
+      stopId: text(field(row, 'stopId')),
+      stopName: text(field(row, 'stopName')),
+      arrivalTime: arrival && !Number.isNaN(arrival.getTime()) ? arrival.toISOString() : null
+    };
+  },
+
+  // Applies a card's stop, route and direction filters, drops departed
+  // trains and sorts by arrival. Arrivals without a time sort last.
+  select(arrivals, { stops, routes, directions } = {}, now = new Date()) {
+    return arrivals
+      .filter(arrival => matchesAny(arrival.stopId, stops))
+      .filter(arrival => matchesAny(arrival.route, routes))
+      .filter(arrival => matchesAny(arrival.direction, directions))
+      .map(arrival => ({
+        ...arrival,
+        minutesAway: arrival.arrivalTime === null
+          ? null
+          : Math.max(0, Math.round((Date.parse(arrival.arrivalTime) - now.getTime()) / 60000))
+      }))
+      .filter(arrival => arrival.arrivalTime === null || Date.parse(arrival.arrivalTime) >= now.getTime() - DUE_GRACE)
+      .sort((a, b) => {
+        if (a.arrivalTime === b.arrivalTime) {
+          return 0;
+        }
+        if (a.arrivalTime === null || b.arrivalTime === null) {
+          return a.arrivalTime === null ? 1 : -1;
+        }
+        return a.arrivalTime < b.arrivalTime ? -1 : 1;
+      });
+  },
+
+  // Collapses sorted arrivals into one row per route and destination, in
+  // order of each group's next arrival, keeping up to `perGroup` arrivals
+  group(arrivals, perGroup) {
+    const groups = new Map();
+    arrivals.forEach(arrival => {
+      const key = `${arrival.route}\u0000${arrival.destination}\u0000${arrival.stopId || ''}`;
+      if (!groups.has(key)) {
+        groups.set(key, { ...arrival, arrivals: [] });
+      }
+      const group = groups.get(key);
+      if (group.arrivals.length < perGroup) {
+        group.arrivals.push({ arrivalTime: arrival.arrivalTime, minutesAway: arrival.minutesAway });
+      }
+    });
+    return [...groups.values()];
+  }
+};
+
+module.exports = transitArrivals;
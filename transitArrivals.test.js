@@ -0,0 +1,120 @@
+const transitArrivals = require('./transitArrivals');
+
+const fetchedAt = '2026-10-19T15:00:00.000Z'; // 10:00 AM in Chicago
+const chicago = 'America/Chicago';
+
+describe('rows', () => {
+  test('accepts bare arrays and wrapped rows', () => {
+    const rows = [{ route: 'Red' }];
+    expect(transitArrivals.rows(rows)).toBe(rows);
+    expect(transitArrivals.rows({ arrivals: rows })).toBe(rows);
+    expect(transitArrivals.rows({ eta: rows })).toBe(rows);
+    expect(transitArrivals.rows({ status: 'down' })).toBeNull();
+  });
+});
+
+describe('normalize', () => {
+  test('reads snake_case, camelCase and Train Tracker field names', () => {
+    expect(transitArrivals.normalize({
+      route: 'Red Line', destination: 'Howard', direction: 'N', stop_id: 30173, stop_name: 'Fullerton', minutes_away: 4
+    }, fetchedAt)).toEqual({
+      route: 'Red Line',
+      destination: 'Howard',
+      direction: 'N',
+      stopId: '30173',
+      stopName: 'Fullerton',
+      arrivalTime: '2026-10-19T15:04:00.000Z'
+    });
+
+    const tracker = transitArrivals.normalize({
+      rt: 'Brn', destNm: 'Kimball', trDr: '1', staId: '40530', staNm: 'Diversey', arrT: '20261019 10:07:00'
+    }, fetchedAt, chicago);
+    expect(tracker).toMatchObject({ route: 'Brn', destination: 'Kimball', stopId: '40530', arrivalTime: '2026-10-19T15:07:00.000Z' });
+  });
+
+  test('prefers minutes away over a wall-clock time in an unknown zone', () => {
+    const row = { route: 'Red Line', destination: 'Howard', arrival_time: '2:15 PM', minutes_away: 5 };
+    expect(transitArrivals.normalize(row, fetchedAt, 'UTC').arrivalTime).toBe('2026-10-19T15:05:00.000Z');
+  });
+
+  test('uses a wall-clock time when there is no relative value', () => {
+    expect(transitArrivals.normalize({ arrival_time: '10:12 AM' }, fetchedAt, chicago).arrivalTime)
+      .toBe('2026-10-19T15:12:00.000Z');
+    // Just after midnight, a late-evening time belongs to the previous day
+    expect(transitArrivals.normalize({ arrival_time: '11:58 PM' }, '2026-10-20T05:01:00.000Z', chicago).arrivalTime)
+      .toBe('2026-10-20T04:58:00.000Z');
+  });
+
+  test('an absolute timestamp beats minutes away', () => {
+    const row = { arrival_time: '2026-10-19T15:09:00Z', minutes_away: 20 };
+    expect(transitArrivals.normalize(row, fetchedAt).arrivalTime).toBe('2026-10-19T15:09:00.000Z');
+  });
+
+  test('falls back to minutes away when the arrival time is unreadable', () => {
+    expect(transitArrivals.normalize({ arrival_time: 'soon', minutes_away: '3 min' }, fetchedAt).arrivalTime)
+      .toBe('2026-10-19T15:03:00.000Z');
+    expect(transitArrivals.normalize({ minutes_away: 'Due' }, fetchedAt).arrivalTime).toBe(fetchedAt);
+    expect(transitArrivals.normalize({ arrival_time: 'soon' }, fetchedAt).arrivalTime).toBeNull();
+  });
+
+  test('fills in placeholders for missing route and destination', () => {
+    expect(transitArrivals.normalize({}, fetchedAt)).toMatchObject({
+      route: 'Unknown Route',
+      destination: 'Unknown Destination',
+      direction: null,
+      arrivalTime: null
+    });
+  });
+});
+
+describe('select', () => {
+  const now = new Date(fetchedAt);
+  const arrival = (route, minutes, extra = {}) => ({
+    route,
+    destination: 'Somewhere',
+    direction: null,
+    stopId: '1',
+    stopName: null,
+    arrivalTime: minutes === null ? null : new Date(now.getTime() + minutes * 60000).toISOString(),
+    ...extra
+  });
+
+  test('sorts by arrival, counts minutes from now and drops departed trains', () => {
+    const selected = transitArrivals.select([
+      arrival('Late', 9),
+      arrival('Unknown', null),
+      arrival('Gone', -5),
+      arrival('Due', -0.5),
+      arrival('Soon', 2)
+    ], {}, now);
+    expect(selected.map(item => [item.route, item.minutesAway])).toEqual([
+      ['Due', 0], ['Soon', 2], ['Late', 9], ['Unknown', null]
+    ]);
+  });
+
+  test('filters by stop, route and direction without regard to case', () => {
+    const arrivals = [
+      arrival('Red', 1, { stopId: '30173', direction: 'N' }),
+      arrival('Red', 2, { stopId: '30174', direction: 'S' }),
+      arrival('Blue', 3, { stopId: '30173', direction: 'N' })
+    ];
+    expect(transitArrivals.select(arrivals, { stops: ['30173'], routes: ['red'] }, now)).toHaveLength(1);
+    expect(transitArrivals.select(arrivals, { directions: ['s'] }, now).map(item => item.stopId)).toEqual(['30174']);
+    expect(transitArrivals.select(arrivals, { stops: [] }, now)).toHaveLength(3);
+  });
+});
+
+describe('group', () => {
+  test('keeps up to perGroup arrivals per route and destination', () => {
+    const arrivals = [1, 2, 3, 4].map(minutes => ({
+      route: minutes === 2 ? 'Blue' : 'Red',
+      destination: 'Howard',
+      stopId: '1',
+      arrivalTime: `2026-10-19T15:0${minutes}:00.000Z`,
+      minutesAway: minutes
+    }));
+    const groups = transitArrivals.group(arrivals, 2);
+    expect(groups.map(group => group.route)).toEqual(['Red', 'Blue']);
+    expect(groups[0].arrivals.map(item => item.minutesAway)).toEqual([1, 3]);
+  });
+});
@@ -0,0 +1,76 @@
+// Carousel timing for zones with a `rotation` config. A rotating zone shows
+// `maxVisible` consecutive cards and advances one card at a time, holding
+// each step for the dwell of the card leading it. Timelines are anchored to
+// a shared epoch (the profile's updatedAt), so every screen showing the same
+// profile computes the same position for a given moment.
+
+const DEFAULT_DWELL = 10000;
+const TRANSITIONS = ['none', 'fade', 'slide'];
+
+const zoneRotation = {
+  DEFAULT_DWELL,
+  TRANSITIONS,
+
+  // Returns null when the zone doesn't rotate, either because rotation is off
+  // or because every card already fits
+  timeline(rotation, cardIds, epoch) {
+    if (!rotation || rotation.enabled === false) {
+      return null;
+    }
+
+    const maxVisible = rotation.maxVisible || 1;
+    if (cardIds.length <= maxVisible) {
+      return null;
+    }
+
+    const cardDwell = rotation.cardDwell || {};
+    let offset = 0;
+    const slots = cardIds.map(cardId => {
+      const dwell = cardDwell[cardId] || rotation.dwell || DEFAULT_DWELL;
+      const slot = { cardId, offset, dwell };
+      offset += dwell;
+      return slot;
+    });
+
+    const epochTime = Date.parse(epoch);
+    return {
+      epoch: new Date(Number.isNaN(epochTime) ? 0 : epochTime).toISOString(),
+      cycleLength: offset,
+      maxVisible,
+      transition: rotation.transition || 'none',
+      transitionDuration: rotation.transitionDuration || 0,
+      slots
+    };
+  },
+
+  // Where a timeline stands at `at`: { slot, cards, startedAt, nextChangeAt }
+  position(timeline, at = new Date()) {
+    const now = at.getTime();
+    const { cycleLength, slots, maxVisible } = timeline;
+    const elapsed = (((now - Date.parse(timeline.epoch)) % cycleLength) + cycleLength) % cycleLength;
+    const cycleStart = now - elapsed;
+
+    const slot = slots.findIndex(({ offset, dwell }) => elapsed >= offset && elapsed < offset + dwell);
+    const { offset, dwell } = slots[slot];
+
+    return {
+      slot,
+      cards: Array.from({ length: maxVisible }, (_, index) => slots[(slot + index) % slots.length].cardId),
+      startedAt: new Date(cycleStart + offset).toISOString(),
+      nextChangeAt: new Date(cycleStart + offset + dwell).toISOString()
+    };
+  },
+
+  // Positions of every rotating zone in a UI profile, keyed by zone id
+  positions(profile, at = new Date()) {
+    const positions = {};
+    (profile.zones || []).forEach(zone => {
+      if (zone.rotation) {
+        positions[zone.id] = this.position(zone.rotation, at);
+      }
+    });
+    return positions;
+  }
+};
+
+module.exports = zoneRotation;
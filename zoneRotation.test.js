@@ -0,0 +1,78 @@
+const zoneRotation = require('./zoneRotation');
+
+const epoch = '2026-10-19T15:00:00.000Z';
+const at = ms => new Date(Date.parse(epoch) + ms);
+
+describe('timeline', () => {
+  test('lays cards out back to back with their own dwell', () => {
+    const timeline = zoneRotation.timeline({ dwell: 5000, cardDwell: { b: 20000 } }, ['a', 'b', 'c'], epoch);
+    expect(timeline).toEqual({
+      epoch,
+      cycleLength: 30000,
+      maxVisible: 1,
+      transition: 'none',
+      transitionDuration: 0,
+      slots: [
+        { cardId: 'a', offset: 0, dwell: 5000 },
+        { cardId: 'b', offset: 5000, dwell: 20000 },
+        { cardId: 'c', offset: 25000, dwell: 5000 }
+      ]
+    });
+    expect(zoneRotation.timeline({}, ['a', 'b'], epoch).cycleLength).toBe(2 * zoneRotation.DEFAULT_DWELL);
+  });
+
+  test('is null when the zone does not rotate', () => {
+    expect(zoneRotation.timeline(undefined, ['a', 'b'], epoch)).toBeNull();
+    expect(zoneRotation.timeline({ enabled: false }, ['a', 'b'], epoch)).toBeNull();
+    expect(zoneRotation.timeline({}, ['a'], epoch)).toBeNull();
+    expect(zoneRotation.timeline({ maxVisible: 3 }, ['a', 'b', 'c'], epoch)).toBeNull();
+  });
+
+  test('falls back to the Unix epoch for an unreadable anchor', () => {
+    expect(zoneRotation.timeline({}, ['a', 'b'], undefined).epoch).toBe('1970-01-01T00:00:00.000Z');
+  });
+});
+
+describe('position', () => {
+  const timeline = zoneRotation.timeline({ dwell: 5000, cardDwell: { b: 20000 } }, ['a', 'b', 'c'], epoch);
+
+  test('finds the slot for a moment and when it changes', () => {
+    expect(zoneRotation.position(timeline, at(0))).toEqual({
+      slot: 0, cards: ['a'], startedAt: epoch, nextChangeAt: at(5000).toISOString()
+    });
+    expect(zoneRotation.position(timeline, at(24999))).toMatchObject({ slot: 1, startedAt: at(5000).toISOString() });
+    expect(zoneRotation.position(timeline, at(25000))).toMatchObject({ slot: 2, nextChangeAt: at(30000).toISOString() });
+  });
+
+  test('wraps around at the end of each cycle', () => {
+    expect(zoneRotation.position(timeline, at(3 * 30000 + 6000))).toEqual({
+      slot: 1,
+      cards: ['b'],
+      startedAt: at(3 * 30000 + 5000).toISOString(),
+      nextChangeAt: at(3 * 30000 + 25000).toISOString()
+    });
+  });
+
+  test('counts backwards from the epoch for earlier moments', () => {
+    // 2s before the epoch is 28s into the previous cycle
+    expect(zoneRotation.position(timeline, at(-2000))).toEqual({
+      slot: 2, cards: ['c'], startedAt: at(-5000).toISOString(), nextChangeAt: epoch
+    });
+  });
+
+  test('shows maxVisible consecutive cards, wrapping to the first', () => {
+    const wide = zoneRotation.timeline({ dwell: 1000, maxVisible: 2 }, ['a', 'b', 'c'], epoch);
+    expect(zoneRotation.position(wide, at(2500)).cards).toEqual(['c', 'a']);
+  });
+});
+
+describe('positions', () => {
+  test('covers only rotating zones', () => {
+    const rotation = zoneRotation.timeline({ dwell: 1000 }, ['a', 'b'], epoch);
+    const profile = { zones: [{ id: 'main', rotation }, { id: 'side', rotation: null }] };
+    expect(zoneRotation.positions(profile, at(1500))).toEqual({
+      main: { slot: 1, cards: ['b'], startedAt: at(1000).toISOString(), nextChangeAt: at(2000).toISOString() }
+    });
+    expect(zoneRotation.positions({}, at(0))).toEqual({});
+  });
+});